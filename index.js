@@ -1,29 +1,70 @@
 module.exports = Swarm
 
-var addrToIPPort = require('addr-to-ip-port')
 var debug = require('debug')('bittorrent-swarm')
 var EventEmitter = require('events').EventEmitter
+var Blocklist = require('./lib/blocklist')
+var Choker = require('./lib/choker')
+var ConnBudget = require('./lib/conn-budget')
 var inherits = require('inherits')
+var Lsd = require('./lib/lsd')
+var mse = require('./lib/mse')
 var net = require('net')
 var once = require('once')
+var peerAddr = require('./lib/peer-addr')
+var PeerQueue = require('./lib/peer-queue')
+var reconnectPolicy = require('./lib/reconnect-policy')
 var portfinder = require('portfinder')
 var speedometer = require('speedometer')
+var throttle = require('./lib/throttle')
 var thunky = require('thunky')
+var utHolepunch = require('./lib/ut-holepunch')
+var utPex = require('./lib/ut-pex')
 var Wire = require('bittorrent-protocol')
 var dezalgo = require('dezalgo')
 
 function noop () {}
 
-// Use random port above 1024
-portfinder.basePort = Math.floor(Math.random() * 60000) + 1025
+/**
+ * Shallow copy of `defaults`, with the properties of `opts` on top.
+ * @param  {Object} defaults
+ * @param  {Object} opts
+ * @return {Object}
+ */
+function extend (defaults, opts) {
+  var out = {}
+  for (var key in defaults) out[key] = defaults[key]
+  for (key in opts) out[key] = opts[key]
+  return out
+}
 
 var MAX_CONNS = 55
-var HANDSHAKE_TIMEOUT = 25000
-var RECONNECT_WAIT = [1000, 5000, 15000, 30000, 60000, 120000, 300000, 600000]
+var FALLBACK_TIMEOUT = 5000
+var EVICT_GRACE = 30000 // don't evict wires that connected less than 30s ago
+var IDLE_TIMEOUT = 300000 // unload swarms created on demand after 5 idle minutes
+var PEX_INTERVAL = 60000
+var PEX_MAX_PEERS = 100 // peers learned through pex that are kept at a time
+var HOLEPUNCH_TIMEOUT = 30000 // how long a relay has to answer a rendezvous
+var HOLEPUNCH_INTERVAL = 10000 // min ms between connects we didn't ask for, per relay
+var HOLEPUNCH_MAX_PEERS = 50 // peers that relays sent us that are kept at a time
+
+// Transports that have been used by a pool, indexed by their pool key prefix
+var transports = []
 
-var getImplicitListenPort = thunky(function (cb) {
-  portfinder.getPort(cb)
-})
+/**
+ * Get the key for the pool that listens on `port` (of `host`, or of all
+ * interfaces) with `transport`. A transport is any object with `connect(opts)`
+ * and `createServer(onconn)` methods, like the built-in `net` module.
+ *
+ * @param  {Object} transport
+ * @param  {number} port
+ * @param  {string=} host
+ * @return {string}
+ */
+function getPoolKey (transport, port, host) {
+  var id = transports.indexOf(transport)
+  if (id === -1) id = transports.push(transport) - 1
+  return id + ':' + (host ? peerAddr.format(host, port) : port)
+}
 
 /**
  * Peer
@@ -31,155 +72,477 @@ var getImplicitListenPort = thunky(function (cb) {
  * A peer in the swarm. Comprised of a `net.Socket` and a `Wire`.
  *
  * @param {string} addr
+ * @param {Object=} opts  {priority: number, source: string}
  */
-function Peer (addr) {
+function Peer (addr, opts) {
+  if (!opts) opts = {}
   this.addr = addr
+  this.priority = opts.priority || 0 // hint for the order peers are dialed in
+  this.source = opts.source || 'manual' // where we heard of the peer
 
   this.conn = null
   this.wire = null
+  this.throttles = null // throttle streams of the connection (download, upload)
+
+  this.dialing = false // are we dialing the peer?
+  this.handshaking = false // has a dial connected, and is waiting for handshake?
 
   this.timeout = null
   this.retries = 0
+  this.retryAt = null // when the peer will be queued again, while backing off
+  this.successes = 0 // number of times we connected and handshook
+  this.failures = 0 // number of times dialing the peer failed
+
+  this.peerId = null // hex peer id, once we've handshaken
+  this.lastConnected = null // time of the last handshake
+  this.downloaded = 0 // bytes downloaded from the peer, over all connections
+  this.uploaded = 0
 }
 
 /**
- * Called once the peer's `conn` has connected (i.e. fired 'connect')
+ * Called once the peer's `conn` has connected (i.e. fired 'connect'). If the
+ * connection was already piped into a `wire` (i.e. an outgoing connection that
+ * won a dial race), that wire is adopted instead of creating a new one.
  * @param {Socket} conn
+ * @param {Wire=} wire
+ * @param {Object=} throttles  throttle streams `wire` is piped through
  */
-Peer.prototype.onconnect = function (conn) {
+Peer.prototype.onconnect = function (conn, wire, throttles) {
   this.conn = conn
+  this.throttles = throttles || null
 
-  var wire = this.wire = new Wire()
+  var piped = !!wire
+  wire = this.wire = wire || new Wire()
   wire.remoteAddress = this.addr
   var destroy = once(function () {
-    this.conn.destroy()
-    this.conn = null
+    conn.destroy()
+    if (this.conn === conn) this.conn = null
   }.bind(this))
 
   // Close the wire when the connection is destroyed
   conn.once('end', function () { destroy() })
   conn.once('error', function () { destroy() })
-  conn.once('close', function () { wire.end() })
+  conn.once('close', function () {
+    destroy()
+    wire.end()
+    if (throttles) {
+      throttles.download.destroy()
+      throttles.upload.destroy()
+    }
+  })
 
   wire.once('end', function () {
     this.wire = null
   }.bind(this))
 
   // Duplex streaming magic!
-  conn.pipe(wire).pipe(conn)
+  if (!piped) conn.pipe(wire).pipe(conn)
+}
+
+/**
+ * @param  {Buffer|string} infoHash
+ * @return {string} hex
+ */
+function hexInfoHash (infoHash) {
+  return Buffer.isBuffer(infoHash)
+    ? infoHash.toString('hex')
+    : String(infoHash).toLowerCase()
+}
+
+/**
+ * Names of the BEP 10 extensions that both ends of a wire use.
+ * @param  {Wire} wire
+ * @return {Array.<string>}
+ */
+function negotiatedExtensions (wire) {
+  var names = []
+  for (var ext in wire.extendedMapping) {
+    var name = wire.extendedMapping[ext]
+    if (wire.peerExtendedMapping[name]) names.push(name)
+  }
+  return names
+}
+
+/**
+ * Create the streams that throttle a connection's downloads and uploads.
+ * @param  {Array.<Throttle>} download
+ * @param  {Array.<Throttle>} upload
+ * @return {Object}
+ */
+function createThrottles (download, upload) {
+  return {
+    download: new throttle.ThrottleStream(download),
+    upload: new throttle.ThrottleStream(upload)
+  }
 }
 
 /**
  * Pool
  * ====
- * A "pool" is a bunch of swarms all listening on the same TCP port for
- * incoming connections from peers who are interested in one of our swarms.
- * There is one Pool for every port that a swarm is listening on, and they are
- * all stored in the `Pool.pools` object. When a connection comes in, the pool
- * does the wire protocol handshake with the peer to determine which swarm they
- * are interested in, and routes the connection to the right swarm.
+ * A "pool" is a bunch of swarms all listening on the same port and transport
+ * for incoming connections from peers who are interested in one of our swarms.
+ * There is one Pool for every session, transport, host and port that a swarm is
+ * listening on, and they are all stored in the `pools` object of their session.
+ * When a connection comes in, the pool does the wire protocol handshake with the
+ * peer to determine which swarm they are interested in, and routes the
+ * connection to the right swarm.
+ *
+ * Emits 'listening' once the server listens, and 'error' if it can't, after
+ * telling the pool's swarms (only when there are 'error' listeners, as pools
+ * are mostly used through their swarms).
  *
+ * @param {Session} session
  * @param {number} port
+ * @param {string} host  address to listen on, or null for all interfaces
+ * @param {Object} transport
+ * @param {string} transportName  name reported on incoming wires (ex: 'tcp')
  */
-function Pool (port) {
+function Pool (session, port, host, transport, transportName) {
+  EventEmitter.call(this)
+  this.session = session
+  this.key = getPoolKey(transport, port, host)
   this.port = port
+  this.host = host || null
+  this.transport = transport
+  this.transportName = transportName
   this.swarms = {} // infoHash (hex) -> Swarm
   this.listening = false
+  this.destroyed = false
 
   // Keep track of incoming connections so we can destroy them if we need to
   // close the server later.
   this.conns = []
 
-  this.server = net.createServer(this._onconn.bind(this))
+  // Called with the infoHash of incoming peers that no swarm in this pool is
+  // for, to create swarms on demand (see `Swarm.createPool`)
+  this.onUnknownInfoHash = null
+  this.idleTimeout = 0 // unload swarms created on demand after being idle this long
+  this._loading = {} // infoHash (hex) -> callbacks waiting for onUnknownInfoHash
+  this._watched = {} // infoHash (hex) -> true, for swarms created on demand
+
+  // Tokens for incoming connections, refilled at
+  // `session.incomingLimits.handshakesPerSecond`
+  this._handshakeTokens = session.incomingLimits.handshakesPerSecond
+  this._lastRefill = Date.now()
+
+  this.server = transport.createServer(this._onconn.bind(this))
   this.server.on('error', this._onerror.bind(this))
-  this.server.listen(this.port, this._onlistening.bind(this))
+  // With no host given, `net` servers listen on both IPv6 and IPv4 (incoming
+  // IPv4 peers show up with IPv4-mapped addresses) where the host supports it.
+  this._listen(this._onlistening.bind(this))
 
   this._retries = 0
 }
 
+inherits(Pool, EventEmitter)
+
 /**
- * In-use Pools (port -> Pool)
+ * STATIC METHOD: Get the pool of a session for a transport, port and host, if
+ * there is one.
+ * @param  {Session} session
+ * @param  {Object} transport
+ * @param  {number} port
+ * @param  {string=} host
+ * @return {Pool}
  */
-Pool.pools = {}
+Pool.get = function (session, transport, port, host) {
+  return session.pools[getPoolKey(transport, port, host)]
+}
 
 /**
- * STATIC METHOD: Add a swarm to a pool, creating a new pool if necessary.
+ * STATIC METHOD: Add a swarm to the pool of each of its transports, creating
+ * new pools if necessary.
  * @param {Swarm} swarm
  */
 Pool.add = function (swarm) {
-  var port = swarm.port
-  var pool = Pool.pools[port]
-
-  if (!pool) pool = Pool.pools[port] = new Pool(port)
+  swarm._transports.forEach(function (t) {
+    Pool.open(swarm.session, t.transport, t.name, swarm.port, swarm.host)
+      .addSwarm(swarm)
+  })
+}
 
-  pool.addSwarm(swarm)
+/**
+ * STATIC METHOD: Get the pool of a session for a transport, port and host,
+ * creating it if necessary.
+ * @param  {Session} session
+ * @param  {Object} transport
+ * @param  {string} transportName
+ * @param  {number} port
+ * @param  {string=} host
+ * @return {Pool}
+ */
+Pool.open = function (session, transport, transportName, port, host) {
+  var key = getPoolKey(transport, port, host)
+  var pool = session.pools[key]
+  if (!pool || pool.destroyed) {
+    pool = session.pools[key] = new Pool(session, port, host, transport,
+      transportName)
+  }
+  return pool
 }
 
 /**
- * STATIC METHOD: Remove a swarm from its pool.
+ * STATIC METHOD: Remove a swarm from its pools.
  * @param  {Swarm} swarm
+ * @param  {number=} port  port of the pools (default: `swarm.port`)
  */
-Pool.remove = function (swarm) {
-  var port = swarm.port
-  var pool = Pool.pools[port]
-  if (!pool) return
+Pool.remove = function (swarm, port) {
+  swarm._transports.forEach(function (t) {
+    var pools = swarm.session.pools
+    var key = getPoolKey(t.transport, port || swarm.port, swarm.host)
+    var pool = pools[key]
+    if (!pool) return
 
-  pool.removeSwarm(swarm)
+    pool.removeSwarm(swarm)
+
+    if (pool.destroyed)
+      delete pools[key]
+  })
+}
 
-  if (Object.keys(pool.swarms).length === 0)
-    delete Pool.pools[port]
+/**
+ * Start the server on this pool's port and host.
+ * @param {function=} cb
+ */
+Pool.prototype._listen = function (cb) {
+  if (this.host) this.server.listen(this.port, this.host, cb)
+  else this.server.listen(this.port, cb)
 }
 
 Pool.prototype._onlistening = function () {
   this.listening = true
   for (var infoHash in this.swarms) {
-    var swarm = this.swarms[infoHash]
-    debug('listening %s', this.port)
-    swarm.listening = true
-    swarm.emit('listening', this.port)
+    this.swarms[infoHash]._onlistening(this)
   }
+  this.emit('listening')
+}
+
+/**
+ * Take a token for an incoming connection.
+ * @return {boolean} false if there are too many incoming connections right now
+ */
+Pool.prototype._takeHandshakeToken = function () {
+  var rate = this.session.incomingLimits.handshakesPerSecond
+  if (!rate) return true
+  var now = Date.now()
+  this._handshakeTokens = Math.min(rate,
+    this._handshakeTokens + (now - this._lastRefill) * rate / 1000)
+  this._lastRefill = now
+  if (this._handshakeTokens < 1) return false
+  this._handshakeTokens -= 1
+  return true
 }
 
 Pool.prototype._onconn = function (conn) {
   // Track all conns in this pool
   this.conns.push(conn)
   conn.on('close', function () {
-    this.conns.splice(this.conns.indexOf(conn))
+    var index = this.conns.indexOf(conn)
+    if (index !== -1) this.conns.splice(index, 1)
   }.bind(this))
 
-  var addr = conn.remoteAddress + ':' + conn.remotePort
+  var addr = peerAddr.format(conn.remoteAddress, conn.remotePort)
 
-  // On incoming connections, we expect the remote peer to send a handshake
-  // first. Based on the infoHash in that handshake, route the peer to the
-  // right swarm.
-  var peer = new Peer(addr)
-  peer.onconnect(conn)
+  // Don't let a single host, or a flood of connections, use up our sockets
+  var ip = peerAddr.normalize(conn.remoteAddress)
+  var fromIp = this.conns.filter(function (c) {
+    return peerAddr.normalize(c.remoteAddress) === ip
+  }).length
+  if (fromIp > this.session.incomingLimits.maxConnsPerIp) {
+    debug('refused %s: too many connections from ip', addr)
+    return conn.destroy()
+  }
+  if (!this._takeHandshakeToken()) {
+    debug('refused %s: too many incoming handshakes', addr)
+    return conn.destroy()
+  }
+
+  // Refuse peers that every swarm in this pool blocks before spending a
+  // handshake on them.
+  var swarms = Object.keys(this.swarms).map(function (infoHash) {
+    return this.swarms[infoHash]
+  }, this)
+  var rules = swarms.map(function (swarm) {
+    return swarm._blocked(addr)
+  })
+  if (rules.length > 0 && rules.every(Boolean)) {
+    debug('refused blocked peer %s', addr)
+    swarms.forEach(function (swarm, i) {
+      swarm.emit('blocked', addr, rules[i])
+    })
+    return conn.destroy()
+  }
 
-  // Peer must send handshake in timely manner - they connected to us after all
+  // Peer must send handshake in timely manner - they connected to us after all.
+  // As we don't know which swarm it's for yet, allow the longest timeout.
+  var handshakeTimeout = swarms.reduce(function (max, swarm) {
+    return Math.max(max, swarm.reconnectPolicy.handshakeTimeout)
+  }, 0) || reconnectPolicy.DEFAULT.handshakeTimeout
   var timeout = setTimeout(function () {
     conn.destroy()
-  }, HANDSHAKE_TIMEOUT)
+  }, handshakeTimeout)
 
-  peer.wire.on('handshake', function (infoHash, peerId, extensions) {
-    clearTimeout(timeout)
-    var swarm = this.swarms[infoHash.toString('hex')]
-
-    // Destroy connections from peers that handshake for an infoHash not in
-    // this pool.
-    if (!swarm)
+  // The peer either starts with a plaintext handshake, or with the encryption
+  // handshake for one of the swarms in this pool that allows encryption.
+  mse.accept(conn, this._lookupEncrypted.bind(this), function (err, result) {
+    if (err) {
+      debug('encryption handshake with %s failed (%s)', addr, err.message)
       return conn.destroy()
+    }
+
+    var wire = new Wire()
+    wire.transport = this.transportName
+    wire.encrypted = result.encrypted
+
+    // Only the session's rate limits are known until the peer picks a swarm
+    var throttles = createThrottles(
+      [this.session.downloadThrottle],
+      [this.session.uploadThrottle]
+    )
+
+    // On incoming connections, we expect the remote peer to send a handshake
+    // first. Based on the infoHash in that handshake, route the peer to the
+    // right swarm.
+    var peer = new Peer(addr, { source: 'incoming' })
+    peer.onconnect(conn, wire, throttles)
+
+    var onswarm = function (swarm, infoHash) {
+      clearTimeout(timeout)
+
+      // Destroy connections from peers that handshake for an infoHash not in
+      // this pool, or that don't match the swarm's encryption setting.
+      if (!swarm)
+        return conn.destroy()
+      if (result.obfuscated && !result.skey.equals(infoHash))
+        return conn.destroy()
+      if (!result.obfuscated && swarm.encryption === 'require')
+        return conn.destroy()
+      if (swarm._pauseMode === 'full')
+        return conn.destroy()
+
+      var rule = swarm._blocked(addr)
+      if (rule) {
+        swarm.emit('blocked', addr, rule)
+        return conn.destroy()
+      }
+
+      swarm._onincoming(peer)
+    }.bind(this)
+
+    wire.on('handshake', function (infoHash, peerId, extensions) {
+      var swarm = this.swarms[infoHash.toString('hex')]
+      if (swarm || !this.onUnknownInfoHash) return onswarm(swarm, infoHash)
 
-    swarm._onincoming(peer)
+      this._loadSwarm(infoHash, peerId, function (swarm) {
+        if (!conn.destroyed) onswarm(swarm, infoHash)
+      })
+    }.bind(this))
+
+    mse.pipe(conn, wire, result, throttles)
+  }.bind(this))
+}
+
+/**
+ * Ask `this.onUnknownInfoHash` for a swarm for `infoHash`, and add it to this
+ * pool. Peers that handshake for the same infoHash while it's being loaded
+ * wait for the same swarm.
+ * @param  {Buffer} infoHash
+ * @param  {Buffer} peerId
+ * @param  {function} cb  called with the swarm, or null
+ */
+Pool.prototype._loadSwarm = function (infoHash, peerId, cb) {
+  var infoHashHex = infoHash.toString('hex')
+  if (this._loading[infoHashHex]) return this._loading[infoHashHex].push(cb)
+  this._loading[infoHashHex] = [cb]
+  debug('loading swarm %s', infoHashHex)
+
+  this.onUnknownInfoHash(infoHashHex, peerId.toString('hex'), function (err, swarm) {
+    var cbs = this._loading[infoHashHex]
+    delete this._loading[infoHashHex]
+
+    if (err) debug('failed to load swarm %s (%s)', infoHashHex, err.message)
+    if (err || !swarm || swarm.destroyed || this.destroyed) swarm = null
+    if (swarm && swarm.session !== this.session) {
+      debug('swarm %s belongs to another session', infoHashHex)
+      swarm = null
+    }
+    if (swarm && (swarm.host || null) !== this.host) {
+      debug('swarm %s is for another host', infoHashHex)
+      swarm = null
+    }
+    if (swarm && !swarm.port) swarm.listen(this.port)
+
+    swarm = swarm && this.swarms[infoHashHex] === swarm ? swarm : null
+    if (swarm && this.idleTimeout) this._watchIdle(swarm)
+    cbs.forEach(function (cb) { cb(swarm) })
+  }.bind(this))
+}
+
+/**
+ * Destroy a swarm that was created on demand once it has had no wires for
+ * `this.idleTimeout` ms.
+ * @param  {Swarm} swarm
+ */
+Pool.prototype._watchIdle = function (swarm) {
+  var infoHashHex = swarm.infoHashHex
+  if (this._watched[infoHashHex]) return
+  this._watched[infoHashHex] = true
+
+  var timer = null
+  var check = function () {
+    clearTimeout(timer)
+    if (swarm.destroyed || swarm.wires.length > 0) return
+    timer = setTimeout(function () {
+      debug('unloading idle swarm %s', infoHashHex)
+      swarm.destroy()
+    }, this.idleTimeout)
+  }.bind(this)
+
+  swarm.on('wire', function (wire) {
+    clearTimeout(timer)
+    var onend = function () { process.nextTick(check) }
+    wire.once('end', onend)
+    wire.once('close', onend)
+  })
+  swarm.once('close', function () {
+    clearTimeout(timer)
+    delete this._watched[infoHashHex]
   }.bind(this))
+  check()
+}
+
+/**
+ * Find the swarm that an incoming encryption handshake is for, given the hash
+ * of its infoHash. Swarms with encryption disabled are never matched.
+ * @param  {Buffer} hash
+ * @return {Object}
+ */
+Pool.prototype._lookupEncrypted = function (hash) {
+  for (var infoHash in this.swarms) {
+    var swarm = this.swarms[infoHash]
+    if (swarm.encryption !== 'disable' && mse.skeyHash(swarm.infoHash).equals(hash))
+      return { skey: swarm.infoHash, mode: swarm.encryption }
+  }
+  return null
 }
 
 Pool.prototype._onerror = function (err) {
-  if (err.code === 'EADDRINUSE' && this._retries < 5) {
+  var swarms = Object.keys(this.swarms).map(function (infoHash) {
+    return this.swarms[infoHash]
+  }, this)
+
+  // Swarms that are moving here from another port can go back to it, so don't
+  // make them wait for the port to be freed
+  var moving = swarms.length > 0 && swarms.every(function (swarm) {
+    return swarm._relisten
+  })
+
+  if (err.code === 'EADDRINUSE' && this._retries < 5 && !moving) {
     debug('Port %d in use, retrying...', this.port)
     setTimeout(function () {
       this._retries += 1
       var done = function () {
-        this.server.listen(this.port)
+        this._listen()
       }.bind(this)
       try {
         this.server.close(done)
@@ -189,10 +552,14 @@ Pool.prototype._onerror = function (err) {
     }.bind(this), 1000)
   } else {
     this.destroy()
-    for (var infoHash in this.swarms) {
-      var swarm = this.swarms[infoHash]
-      swarm.emit('error', 'Swarm error: ' + err.message)
-    }
+    // Let the port be listened on again
+    if (this.session.pools[this.key] === this) delete this.session.pools[this.key]
+    swarms.forEach(function (swarm) {
+      if (swarm._relisten) swarm._relistenFailed(err)
+      else swarm.emit('error', 'Swarm error: ' + err.message)
+    })
+    // Pools made by `createPool` may have no swarms to tell
+    if (this.listeners('error').length > 0) this.emit('error', err)
   }
 }
 
@@ -204,6 +571,7 @@ Pool.prototype.destroy = function (cb) {
   // Destroy all open connections & wire objects so the server can gracefully
   // close without waiting for timeout or the remote peer to disconnect.
   cb = dezalgo(cb || noop)
+  this.destroyed = true
   this.conns.forEach(function (conn) {
     conn.destroy()
   })
@@ -215,6 +583,18 @@ Pool.prototype.destroy = function (cb) {
   }
 }
 
+/**
+ * Stop tracking the connections of a swarm's peers, so they stay open when this
+ * pool is destroyed.
+ * @param {Swarm} swarm
+ */
+Pool.prototype.releasePeers = function (swarm) {
+  for (var addr in swarm._peers) {
+    var index = this.conns.indexOf(swarm._peers[addr].conn)
+    if (index !== -1) this.conns.splice(index, 1)
+  }
+}
+
 /**
  * Add a swarm to this pool.
  * @param {Swarm} swarm
@@ -224,10 +604,8 @@ Pool.prototype.addSwarm = function (swarm) {
 
   if (this.listening) {
     process.nextTick(function () {
-      debug('listening %s', swarm.port)
-      swarm.listening = true
-      swarm.emit('listening', swarm.port)
-    })
+      swarm._onlistening(this)
+    }.bind(this))
   }
 
   if (this.swarms[infoHash]) {
@@ -247,12 +625,208 @@ Pool.prototype.addSwarm = function (swarm) {
  */
 Pool.prototype.removeSwarm = function (swarm) {
   var infoHash = swarm.infoHashHex
+  if (this.swarms[infoHash] !== swarm) return
   delete this.swarms[infoHash]
 
-  if (Object.keys(this.swarms).length === 0)
+  // Pools that create swarms on demand stay open until closed
+  if (Object.keys(this.swarms).length === 0 && !this.onUnknownInfoHash)
     this.destroy()
 }
 
+/**
+ * Stop creating swarms on demand. The pool is destroyed once it has no swarms.
+ * @param  {function=} cb
+ */
+Pool.prototype.close = function (cb) {
+  this.onUnknownInfoHash = null
+  if (Object.keys(this.swarms).length > 0) return cb && process.nextTick(cb)
+  this.destroy(cb)
+  if (this.session.pools[this.key] === this) delete this.session.pools[this.key]
+}
+
+/**
+ * Session
+ * =======
+ * A group of swarms that share their listening ports, rate limits, connection
+ * budget, blocklist and default options. Swarms in different sessions don't
+ * know about each other, so there can be a swarm for the same infoHash in each
+ * session (on different ports). Swarms that aren't given a session belong to
+ * `Session.default`.
+ *
+ * Options:
+ *   port          {number}  port that swarms listen on when `listen` isn't
+ *                           given one (default: a random free port)
+ *   downloadLimit {number}  download rate of all swarms, in bytes/sec
+ *   uploadLimit   {number}  upload rate of all swarms, in bytes/sec
+ *   maxConns      {number}  connections of all swarms (default: no limit)
+ *   maxHalfOpen   {number}  dials in progress of all swarms (default: no limit)
+ *   maxConnsPerIp {number}  incoming connections from a single ip (default: 5)
+ *   handshakesPerSecond {number}  new incoming connections per second
+ *                           (default: 50)
+ *   blocklist     {Blocklist|Array.<string>}  addresses to refuse peers from,
+ *                           in all swarms
+ *   lsd           {Object}  options for Local Service Discovery, used by the
+ *                           swarms created with `lsd: true` (see lib/lsd.js)
+ *   swarm         {Object}  default options for the swarms of this session
+ *
+ * @param {Object=} opts
+ */
+function Session (opts) {
+  if (!(this instanceof Session)) return new Session(opts)
+  if (!opts) opts = {}
+
+  this.pools = {} // pool key -> Pool
+  this.port = opts.port || 0
+  this.defaults = opts.swarm || {}
+
+  this.downloadThrottle = new throttle.Throttle(opts.downloadLimit)
+  this.uploadThrottle = new throttle.Throttle(opts.uploadLimit)
+
+  this.connBudget = new ConnBudget()
+  this.setConnectionLimits({
+    maxConns: opts.maxConns,
+    maxHalfOpen: opts.maxHalfOpen
+  })
+
+  this.incomingLimits = {
+    maxConnsPerIp: 5,
+    handshakesPerSecond: 50
+  }
+  this.setIncomingLimits({
+    maxConnsPerIp: opts.maxConnsPerIp,
+    handshakesPerSecond: opts.handshakesPerSecond
+  })
+
+  this.blocklist = opts.blocklist instanceof Blocklist
+    ? opts.blocklist
+    : new Blocklist(opts.blocklist)
+  this.blocklist.setMaxListeners(0)
+
+  // Local Service Discovery, while a swarm of this session uses it
+  this._lsdOpts = opts.lsd || {}
+  this._lsd = null
+
+  // Search for free ports above a random port above 1024
+  this._basePort = Math.floor(Math.random() * 60000) + 1025
+
+  // Port shared by the swarms that listen without one
+  this._implicitPort = thunky(function (cb) {
+    if (this.port) cb(null, this.port)
+    else this._findPort(cb)
+  }.bind(this))
+}
+
+/**
+ * Set the download rate limit shared by all swarms of this session.
+ * @param {number} rate  bytes per second (0 for no limit)
+ */
+Session.prototype.setDownloadLimit = function (rate) {
+  this.downloadThrottle.setRate(rate)
+}
+
+/**
+ * Set the upload rate limit shared by all swarms of this session.
+ * @param {number} rate  bytes per second (0 for no limit)
+ */
+Session.prototype.setUploadLimit = function (rate) {
+  this.uploadThrottle.setRate(rate)
+}
+
+/**
+ * Set the connection budget of this session, shared fairly by its swarms
+ * according to their `weight`.
+ * @param {Object} limits
+ *   maxConns     {number}  connections of all swarms, 0 for no limit
+ *   maxHalfOpen  {number}  dials in progress of all swarms, 0 for no limit
+ */
+Session.prototype.setConnectionLimits = function (limits) {
+  var budget = {}
+  for (var key in limits) {
+    if (limits[key] !== undefined) budget[key] = limits[key]
+  }
+  this.connBudget.setLimits(budget)
+}
+
+/**
+ * Set the limits on incoming connections, applied to every port the swarms of
+ * this session listen on.
+ * @param {Object} limits
+ *   maxConnsPerIp        {number}  connections from a single ip (default: 5)
+ *   handshakesPerSecond  {number}  new connections per second, 0 for no limit
+ *                                  (default: 50)
+ */
+Session.prototype.setIncomingLimits = function (limits) {
+  for (var key in limits) {
+    if (key in this.incomingLimits && limits[key] !== undefined)
+      this.incomingLimits[key] = limits[key]
+  }
+}
+
+/**
+ * Listen on a port before any swarm does, and create swarms on demand when
+ * peers connect for an infoHash we don't have a swarm for. `onUnknownInfoHash`
+ * is called with the hex infoHash and peer id; call back with a swarm of this
+ * session (that will be made to listen on `port`) or with null to refuse the
+ * peer. Swarms created this way are destroyed once they have been idle (i.e.
+ * without wires) for `idleTimeout` ms.
+ *
+ * Peers that connect with an encrypted handshake can only be matched with
+ * swarms that already exist.
+ *
+ * @param  {number} port
+ * @param  {Object} opts
+ *   onUnknownInfoHash {function}  function (infoHash, peerId, cb)
+ *   idleTimeout       {number}    ms, 0 to never unload swarms (default: 300000)
+ *   transport         {Object}    transport to listen with (default: net)
+ *   host              {string}    address to listen on; swarms must be given the
+ *                                 same `host` (default: all interfaces)
+ * @return {Pool} emits 'listening', or 'error' if it can't listen on `port`;
+ *                call `pool.close()` to stop creating swarms
+ */
+Session.prototype.createPool = function (port, opts) {
+  var transport = opts.transport || net
+  var pool = Pool.open(this, transport, transport.isUTP ? 'utp' : 'tcp', port,
+    opts.host)
+  pool.onUnknownInfoHash = opts.onUnknownInfoHash
+  pool.idleTimeout = opts.idleTimeout === undefined ? IDLE_TIMEOUT : opts.idleTimeout
+  return pool
+}
+
+/**
+ * Announce a listening swarm on the local network, and start listening for
+ * announces if it's the first swarm to use LSD.
+ * @param {Swarm} swarm
+ */
+Session.prototype._joinLsd = function (swarm) {
+  if (!this._lsd) this._lsd = new Lsd(this._lsdOpts)
+  this._lsd.add(swarm)
+}
+
+/**
+ * @param {Swarm} swarm
+ */
+Session.prototype._leaveLsd = function (swarm) {
+  if (!this._lsd) return
+  this._lsd.remove(swarm)
+  if (this._lsd.swarms.length === 0) {
+    this._lsd.destroy()
+    this._lsd = null
+  }
+}
+
+/**
+ * Find a free port.
+ * @param  {function} cb
+ */
+Session.prototype._findPort = function (cb) {
+  portfinder.getPort({ port: this._basePort }, cb)
+}
+
+/**
+ * Session of the swarms that aren't given one.
+ */
+Session.default = new Session()
+
 inherits(Swarm, EventEmitter)
 
 /**
@@ -264,7 +838,72 @@ inherits(Swarm, EventEmitter)
  * handshake with peers. It also tracks total data uploaded/downloaded to/from
  * the swarm.
  *
- * Events: wire, download, upload, error, close
+ * Events: wire, download, upload, blocked, error, close
+ *
+ * Peer lifecycle events, each called with the peer's address and an object
+ * with details:
+ *   peer-connecting           {retries}  started dialing the peer
+ *   peer-handshake-timeout    {transport, timeout}  a dial timed out
+ *   peer-connect-failed       {reason, connected}  all dials failed
+ *   peer-reconnect-scheduled  {reason, wait, retries}  will retry in `wait` ms
+ *   peer-removed              {reason}  the peer was dropped from the swarm
+ *   peer-duplicate            {peerId, kept}  the peer has the same id as an
+ *                                        already connected one, at address
+ *                                        `kept`, and its connection was closed
+ *
+ * Options:
+ *   handshake  {Object}  handshake extensions, passed to `wire.handshake`
+ *   maxConns   {number}  maximum number of connections (default: 55)
+ *   maxIncoming {number}  maximum number of incoming connections (default:
+ *                        maxConns)
+ *   weight     {number}  share of the session's connection budget, relative
+ *                        to other swarms (default: 1)
+ *   transport  {Object}  object with `connect(opts)` and `createServer(onconn)`
+ *                        methods used for all connections (default: `net`)
+ *   host       {string}  local address to listen on and to dial peers from
+ *                        (default: all interfaces)
+ *   localAddress {string}  local address to dial peers from, if different from
+ *                        `host`
+ *   utp        {Object}  uTP transport with the same API as `transport`. When
+ *                        given, the swarm listens on both transports on the
+ *                        same port and dials peers with both
+ *   dialStrategy {string}  'fallback' to dial over uTP first and fall back to
+ *                          `transport`, or 'race' to dial both at once and keep
+ *                          whichever handshakes first (default: 'fallback')
+ *   encryption {string}  Message Stream Encryption: 'prefer' to encrypt when
+ *                        the peer supports it, 'require' to refuse plaintext
+ *                        peers, or 'disable' (default: 'disable')
+ *   blocklist  {Blocklist|Array.<string>}  addresses to refuse peers from, in
+ *                        addition to the session's blocklist
+ *   downloadLimit {number}  max download rate in bytes/sec (default: no limit)
+ *   uploadLimit   {number}  max upload rate in bytes/sec (default: no limit)
+ *   choker     {boolean|Object}  manage choking of wires with a `Choker`; pass
+ *                        an object for choker options (default: false)
+ *   peerScore  {function}  function (peer, swarm) returning the score that
+ *                        orders the peers waiting to be dialed, higher first
+ *                        (default: `PeerQueue.defaultScore`)
+ *   externalIp {string}  our public ip, used to rank peers by BEP 40 priority
+ *   pex        {boolean|Object}  exchange peers with connected peers (ut_pex,
+ *                        BEP 11). Must stay off for private torrents. Pass an
+ *                        object for options: `interval` in ms between messages
+ *                        (default: 60000), and `maxPeers` learned this way
+ *                        (default: 100) (default: false)
+ *   lsd        {boolean}  find peers on the local network with Local Service
+ *                        Discovery (BEP 14) once listening. Must stay off for
+ *                        private torrents (default: false)
+ *   holepunch  {boolean|Object}  connect to peers behind NATs through a
+ *                        connected peer that knows them from pex (ut_holepunch,
+ *                        BEP 55), and relay such connections for our peers. Only
+ *                        peers that can be dialed over uTP are hole punched. Pass
+ *                        an object for options: `maxPeers` that relays asked us
+ *                        to connect to, kept at a time (default: 50)
+ *                        (default: false)
+ *   reconnectPolicy {Object}  decides handshake timeouts and when to retry
+ *                        peers, see lib/reconnect-policy.js (default: wait 25s
+ *                        for handshakes, retry 8 times over about 19 minutes)
+ *   session    {Session}  session that the swarm belongs to; its default swarm
+ *                        options apply to options not given here (default:
+ *                        `Session.default`)
  *
  * @param {Buffer|string} infoHash
  * @param {Buffer|string} peerId
@@ -273,7 +912,8 @@ inherits(Swarm, EventEmitter)
 function Swarm (infoHash, peerId, opts) {
   if (!(this instanceof Swarm)) return new Swarm(infoHash, peerId, opts)
   EventEmitter.call(this)
-  if (!opts) opts = {}
+  this.session = (opts && opts.session) || Session.default
+  opts = extend(this.session.defaults, opts)
 
   this.infoHash = typeof infoHash === 'string'
     ? new Buffer(infoHash, 'hex')
@@ -294,19 +934,160 @@ function Swarm (infoHash, peerId, opts) {
   this.uploaded = 0
   this.downloadSpeed = speedometer()
   this.uploadSpeed = speedometer()
+  this._downloadThrottle = new throttle.Throttle(opts.downloadLimit)
+  this._uploadThrottle = new throttle.Throttle(opts.uploadLimit)
   this.maxConns = opts.maxConns || MAX_CONNS
+  this.maxIncoming = opts.maxIncoming || this.maxConns
+  this.weight = opts.weight || 1
+  this.reconnectPolicy = opts.reconnectPolicy || reconnectPolicy.DEFAULT
+  this.transport = opts.transport || net
+  this.utp = opts.utp || null
+  this.host = opts.host || null
+  this.localAddress = opts.localAddress || this.host
+  this.dialStrategy = opts.dialStrategy || 'fallback'
+  this.encryption = opts.encryption || 'disable'
+
+  this.blocklist = opts.blocklist instanceof Blocklist
+    ? opts.blocklist
+    : new Blocklist(opts.blocklist)
+  this._onblocklistupdate = this._checkBlocklist.bind(this)
+  this.blocklist.on('update', this._onblocklistupdate)
+  this.session.blocklist.on('update', this._onblocklistupdate)
+
+  // transports to listen and dial on, in order of preference
+  this._transports = []
+  if (this.utp) this._transports.push({ name: 'utp', transport: this.utp })
+  this._transports.push({
+    name: this.transport.isUTP ? 'utp' : 'tcp',
+    transport: this.transport
+  })
+  this._listeningPools = [] // pools that have started listening for this swarm
+  this._relisten = null // previous port and pools, while moving to another port
 
   this.wires = [] // open wires (added *after* handshake)
 
-  this._queue = [] // queue of peers to connect to
+  this.choker = opts.choker
+    ? new Choker(typeof opts.choker === 'object' ? opts.choker : {})
+    : null
+
+  this._extensions = [] // extensions registered on every wire, see `use`
+
+  // Peer exchange
+  this._pex = null
+  this._pexTimer = null
+  if (opts.pex) {
+    var pexOpts = typeof opts.pex === 'object' ? opts.pex : {}
+    var pexInterval = pexOpts.interval || PEX_INTERVAL
+    this._pexMaxPeers = pexOpts.maxPeers || PEX_MAX_PEERS
+    this._pex = utPex({
+      interval: pexInterval,
+      peers: this._pexPeers.bind(this),
+      onPeer: this._onPexPeer.bind(this)
+    })
+    this.use(this._pex)
+    // Wires send at most one message per interval, counted from their own last
+    // message, so check more often than that to not delay messages further
+    this._pexTimer = setInterval(this._updatePex.bind(this), pexInterval / 4)
+    if (this._pexTimer.unref) this._pexTimer.unref() // don't keep the process alive
+  }
+
+  this.lsd = !!opts.lsd
+
+  // Hole punching
+  this._holepunch = null
+  this._rendezvous = {} // addr -> {relay, time} of the rendezvous we asked for
+  if (opts.holepunch) {
+    var holepunchOpts = typeof opts.holepunch === 'object' ? opts.holepunch : {}
+    this._holepunchMaxPeers = holepunchOpts.maxPeers || HOLEPUNCH_MAX_PEERS
+    this._holepunch = utHolepunch({
+      onRendezvous: this._onRendezvous.bind(this),
+      onConnect: this._onHolepunchConnect.bind(this),
+      onError: function (wire, addr, code) {
+        debug('%s cannot relay a rendezvous with %s (error %s)',
+          wire.remoteAddress, addr, code)
+        var asked = this._rendezvous[addr]
+        if (asked && asked.relay === wire) delete this._rendezvous[addr]
+      }.bind(this)
+    })
+    this.use(this._holepunch)
+  }
+
+  this._sources = [] // peer sources, see `addPeerSource`
+  this._sourceStats = {} // source name -> stats, see `getSourceStats`
+
+  this.externalIp = opts.externalIp || null
+  this.peerScore = opts.peerScore || PeerQueue.defaultScore
+  this._queue = new PeerQueue(function (peer) {
+    return this.peerScore(peer, this)
+  }.bind(this)) // queue of peers to connect to, best first
 
   this._peers = {} // connected peers (addr -> Peer)
   this._peersLength = 0 // number of elements in `this._peers` (cached for perf)
+  this._peersById = {} // peers with an open wire (hex peer id -> Peer)
+  this._duplicates = {} // outgoing peers dropped as duplicates (hex peer id -> Peer)
 
   this._connTimeouts = [] // list of connection attempts in progress
 
   this._paused = false
+  this._pauseMode = null // 'dial' or 'full', while paused
+  this._pauseDisconnect = false // were connections closed by `pause`?
   this.destroyed = false
+  this.session.connBudget.add(this)
+}
+
+Swarm.Blocklist = Blocklist
+Swarm.Choker = Choker
+Swarm.PeerQueue = PeerQueue
+Swarm.reconnectPolicy = reconnectPolicy
+Swarm.Session = Session
+
+/**
+ * Blocklist of the default session, applied to every swarm that isn't given a
+ * session.
+ */
+Swarm.blocklist = Session.default.blocklist
+
+/**
+ * Set the download rate limit of the default session.
+ * @param {number} rate  bytes per second (0 for no limit)
+ */
+Swarm.setDownloadLimit = function (rate) {
+  Session.default.setDownloadLimit(rate)
+}
+
+/**
+ * Listen on a port before any swarm does, and create swarms of the default
+ * session on demand. See `Session.prototype.createPool`.
+ * @param  {number} port
+ * @param  {Object} opts
+ * @return {Pool}
+ */
+Swarm.createPool = function (port, opts) {
+  return Session.default.createPool(port, opts)
+}
+
+/**
+ * Set the connection budget of the default session.
+ * @param {Object} limits  {maxConns: number, maxHalfOpen: number}
+ */
+Swarm.setConnectionLimits = function (limits) {
+  Session.default.setConnectionLimits(limits)
+}
+
+/**
+ * Set the limits on incoming connections of the default session.
+ * @param {Object} limits  {maxConnsPerIp: number, handshakesPerSecond: number}
+ */
+Swarm.setIncomingLimits = function (limits) {
+  Session.default.setIncomingLimits(limits)
+}
+
+/**
+ * Set the upload rate limit of the default session.
+ * @param {number} rate  bytes per second (0 for no limit)
+ */
+Swarm.setUploadLimit = function (rate) {
+  Session.default.setUploadLimit(rate)
 }
 
 Object.defineProperty(Swarm.prototype, 'ratio', {
@@ -329,12 +1110,23 @@ Object.defineProperty(Swarm.prototype, 'numConns', {
     var numConns = 0
     for (var addr in this._peers) {
       var peer = this._peers[addr]
-      numConns += (peer && peer.conn) ? 1 : 0
+      numConns += (peer && (peer.conn || peer.dialing)) ? 1 : 0
     }
     return numConns
   }
 })
 
+Object.defineProperty(Swarm.prototype, 'numIncoming', {
+  get: function () {
+    var numIncoming = 0
+    for (var addr in this._peers) {
+      var peer = this._peers[addr]
+      numIncoming += (peer && peer.conn && peer.source === 'incoming') ? 1 : 0
+    }
+    return numIncoming
+  }
+})
+
 Object.defineProperty(Swarm.prototype, 'numPeers', {
   get: function () {
     return this.wires.length
@@ -342,67 +1134,404 @@ Object.defineProperty(Swarm.prototype, 'numPeers', {
 })
 
 /**
- * Add a peer to the swarm.
- * @param {string} addr  ip address and port (ex: 12.34.56.78:12345)
+ * Add a peer to the swarm. Peers are dialed in order of `swarm.peerScore`.
+ * @param {string} addr  ip address and port (ex: 12.34.56.78:12345 or
+ *                       [2001:db8::1]:12345)
+ * @param {Object=} opts
+ *   priority  {number}  raises or lowers the peer's score (default: 0)
+ *   source    {string}  where the peer came from, ex: 'tracker', 'dht', 'pex'
+ *                       (default: 'manual')
  */
-Swarm.prototype.addPeer = function (addr) {
-  if (this.destroyed || this._peers[addr]) return
-  if (!this._validAddr(addr)) return
-  debug('addPeer %s', addr)
+Swarm.prototype.addPeer = function (addr, opts) {
+  var peer = this._createPeer(addr, opts)
+  if (!peer) return
+  debug('addPeer %s', peer.addr)
 
-  var peer = new Peer(addr)
-  this._peers[addr] = peer
-  this._peersLength += 1
   this._queue.push(peer)
+  this._drain()
+}
+
+/**
+ * Add the peers found by a source, like a tracker client or a DHT. A source is
+ * an event emitter of `peer` events, with the peer's address and optionally
+ * the infoHash it was found for (peers found for other infoHashes are ignored).
+ *
+ * The swarm calls `source.start()` once it is listening, `source.stop()` while
+ * it's paused, and `source.destroy()` when it's destroyed, for each of these
+ * methods that the source has.
+ *
+ * @param {EventEmitter} source
+ * @param {Object=} opts
+ *   name      {string}  source of the peers, see `addPeer` (default:
+ *                       `source.name`, or 'unknown')
+ *   priority  {number}  priority of the peers, see `addPeer` (default: 0)
+ */
+Swarm.prototype.addPeerSource = function (source, opts) {
+  if (!opts) opts = {}
+  if (this.destroyed) throw new Error('swarm is destroyed')
+  if (this._findSource(source)) return
+
+  var entry = {
+    source: source,
+    name: opts.name || source.name || 'unknown',
+    started: false,
+    onpeer: function (addr, infoHash) {
+      if (infoHash && hexInfoHash(infoHash) !== this.infoHashHex) return
+      this.addPeer(addr, { source: entry.name, priority: opts.priority })
+    }.bind(this)
+  }
+  debug('addPeerSource %s', entry.name)
+  source.on('peer', entry.onpeer)
+  this._sources.push(entry)
+  if (this.listening && !this._paused) this._startSource(entry)
+}
+
+/**
+ * Stop adding the peers found by a source, and stop it. The source isn't
+ * destroyed.
+ * @param {EventEmitter} source
+ */
+Swarm.prototype.removePeerSource = function (source) {
+  var entry = this._findSource(source)
+  if (!entry) return
+  debug('removePeerSource %s', entry.name)
+  this._sources.splice(this._sources.indexOf(entry), 1)
+  source.removeListener('peer', entry.onpeer)
+  this._stopSource(entry)
+}
+
+Swarm.prototype._findSource = function (source) {
+  for (var i = 0; i < this._sources.length; i++) {
+    if (this._sources[i].source === source) return this._sources[i]
+  }
+  return null
+}
+
+Swarm.prototype._startSource = function (entry) {
+  if (entry.started) return
+  entry.started = true
+  if (typeof entry.source.start === 'function') entry.source.start()
+}
+
+Swarm.prototype._stopSource = function (entry) {
+  if (!entry.started) return
+  entry.started = false
+  if (typeof entry.source.stop === 'function') entry.source.stop()
+}
+
+/**
+ * Get statistics of the peers by source (ex: 'tracker', 'dht', 'pex',
+ * 'incoming'), over the lifetime of the swarm, including the peers that were
+ * removed since. Keyed by source name, each entry has:
+ *
+ *   peers        {number}  peers added
+ *   connected    {number}  peers connected now
+ *   successes    {number}  connections that handshook
+ *   failures     {number}  dials that failed
+ *   successRate  {number}  successes / (successes + failures), 0 without any
+ *   downloaded   {number}  bytes downloaded from these peers
+ *   uploaded     {number}  bytes uploaded to these peers
+ *
+ * @return {Object}
+ */
+Swarm.prototype.getSourceStats = function () {
+  var stats = {}
+  for (var name in this._sourceStats) {
+    var s = this._sourceStats[name]
+    var attempts = s.successes + s.failures
+    stats[name] = {
+      peers: s.peers,
+      connected: 0,
+      successes: s.successes,
+      failures: s.failures,
+      successRate: attempts ? s.successes / attempts : 0,
+      downloaded: s.downloaded,
+      uploaded: s.uploaded
+    }
+  }
+  for (var addr in this._peers) {
+    var peer = this._peers[addr]
+    if (peer && peer.wire && peer.conn) stats[peer.source].connected += 1
+  }
+  return stats
+}
+
+/**
+ * @param  {string} source
+ * @return {Object} running stats of the peers from `source`
+ */
+Swarm.prototype._sourceStat = function (source) {
+  if (!this._sourceStats[source]) {
+    this._sourceStats[source] = {
+      peers: 0, successes: 0, failures: 0, downloaded: 0, uploaded: 0
+    }
+  }
+  return this._sourceStats[source]
+}
+
+/**
+ * Get a snapshot of the peers we know how to dial (i.e. not the ones that
+ * connected to us), to restore them with `importPeers` after a restart.
+ * @return {Array.<Object>} JSON serializable list of peers
+ */
+Swarm.prototype.exportPeers = function () {
+  var snapshot = []
+  for (var addr in this._peers) {
+    var peer = this._peers[addr]
+    if (!peer || peer.source === 'incoming') continue
+    snapshot.push({
+      addr: peer.addr,
+      peerId: peer.peerId,
+      source: peer.source,
+      priority: peer.priority,
+      lastConnected: peer.lastConnected,
+      retries: peer.retries,
+      retryAt: peer.retryAt,
+      successes: peer.successes,
+      failures: peer.failures,
+      downloaded: peer.downloaded,
+      uploaded: peer.uploaded
+    })
+  }
+  return snapshot
+}
+
+/**
+ * Add the peers from a snapshot made by `exportPeers`. Peers that were backing
+ * off are only queued once their retry time has passed, and keep their retry
+ * count. Peers that are already known, invalid or blocked are skipped, and so
+ * are the ones that `reconnectPolicy` gave up on.
+ * @param {Array.<Object>} snapshot
+ */
+Swarm.prototype.importPeers = function (snapshot) {
+  snapshot.forEach(function (entry) {
+    // Skip the peers that the policy gave up on (the record stands in for the
+    // peer, it has the same stats). `retries` counts the retries scheduled so
+    // far, so the last one the policy allowed may still be pending.
+    var retries = entry.retries || 0
+    if (retries > 0 && this.reconnectPolicy.retryDelay(entry, 'imported', retries - 1) == null)
+      return
+    var peer = this._createPeer(entry.addr, entry)
+    if (!peer) return
+    debug('importPeer %s', peer.addr)
+
+    peer.peerId = entry.peerId || null
+    peer.lastConnected = entry.lastConnected || null
+    peer.retries = entry.retries || 0
+    peer.successes = entry.successes || 0
+    peer.failures = entry.failures || 0
+    peer.downloaded = entry.downloaded || 0
+    peer.uploaded = entry.uploaded || 0
+
+    var wait = (entry.retryAt || 0) - Date.now()
+    if (wait > 0) this._retryLater(peer, wait)
+    else this._queue.push(peer)
+  }, this)
 
   this._drain()
 }
 
 /**
- * Temporarily stop connecting to new peers. Note that this does not pause new
- * incoming connections, nor does it pause the streams of existing connections
- * or their wires.
+ * Get statistics about every peer the swarm knows of. Each record has:
+ *
+ *   addr           {string}  ip address and port
+ *   peerId         {string}  hex peer id, once we've handshaken (or null)
+ *   state          {string}  'queued', 'connecting', 'handshaking', 'connected',
+ *                            'backoff' (waiting to be queued again after a
+ *                            failure), 'duplicate' (connected through another
+ *                            address, dialed again once that connection
+ *                            closes) or 'disconnected' (won't be retried)
+ *   direction      {string}  'incoming' or 'outgoing'
+ *   source         {string}  where the peer came from
+ *   downloaded     {number}  bytes downloaded from the peer, over all connections
+ *   uploaded       {number}  bytes uploaded to the peer, over all connections
+ *   downloadSpeed  {number}  current download speed in bytes/sec
+ *   uploadSpeed    {number}  current upload speed in bytes/sec
+ *   duration       {number}  ms since the current connection handshook (or 0)
+ *   retries        {number}  failed attempts since the last connection
+ *   extensions     {Array.<string>}  BEP 10 extensions that both we and the
+ *                            peer use on the current connection
+ *
+ * @return {Array.<Object>}
+ */
+Swarm.prototype.getPeerStats = function () {
+  var now = Date.now()
+  var stats = []
+  for (var addr in this._peers) {
+    var peer = this._peers[addr]
+    if (!peer) continue
+    var connected = !!(peer.wire && peer.conn)
+    stats.push({
+      addr: peer.addr,
+      peerId: peer.peerId,
+      state: this._peerState(peer),
+      direction: peer.source === 'incoming' ? 'incoming' : 'outgoing',
+      source: peer.source,
+      downloaded: peer.downloaded,
+      uploaded: peer.uploaded,
+      downloadSpeed: connected ? peer.wire.downloadSpeed() : 0,
+      uploadSpeed: connected ? peer.wire.uploadSpeed() : 0,
+      duration: connected && peer.lastConnected ? now - peer.lastConnected : 0,
+      retries: peer.retries,
+      extensions: connected ? negotiatedExtensions(peer.wire) : []
+    })
+  }
+  return stats
+}
+
+/**
+ * @param  {Peer} peer
+ * @return {string} see `getPeerStats`
+ */
+Swarm.prototype._peerState = function (peer) {
+  if (peer.wire && peer.conn) return 'connected'
+  if (peer.handshaking) return 'handshaking'
+  if (peer.dialing) return 'connecting'
+  if (peer.timeout) return 'backoff'
+  if (this._queue.has(peer)) return 'queued'
+  if (this._duplicates[peer.peerId] === peer) return 'duplicate'
+  return 'disconnected' // and won't be retried
+}
+
+/**
+ * Create a peer and add it to `this._peers`, unless its address is invalid,
+ * already known or blocked.
+ * @param  {string} addr
+ * @param  {Object=} opts  options for `Peer`
+ * @return {Peer} or null if no peer was added
+ */
+Swarm.prototype._createPeer = function (addr, opts) {
+  if (this.destroyed || !this._validAddr(addr)) return null
+  addr = this._normalizeAddr(addr)
+  if (this._peers[addr]) return null
+
+  var rule = this._blocked(addr)
+  if (rule) {
+    debug('addPeer %s blocked by %s', addr, rule)
+    this.emit('blocked', addr, rule)
+    return null
+  }
+
+  var peer = new Peer(addr, opts)
+  this._peers[addr] = peer
+  this._peersLength += 1
+  this._sourceStat(peer.source).peers += 1
+  return peer
+}
+
+/**
+ * Use a BEP 10 extension on every wire of this swarm, incoming or outgoing. The
+ * extension is registered with `wire.use(Extension)` before our handshake is
+ * sent, so it's announced in the extended handshake. Wires that are already
+ * open don't get it.
+ * @param {function} Extension  extension constructor, with a `name` on its
+ *                              prototype (ex: 'ut_metadata')
+ */
+Swarm.prototype.use = function (Extension) {
+  var name = Extension.prototype && Extension.prototype.name
+  if (!name) {
+    throw new Error('Extension class requires a "name" property on the prototype')
+  }
+  debug('use extension %s', name)
+  this._extensions.push(Extension)
+}
+
+/**
+ * Set the download rate limit of this swarm. The bandwidth is shared fairly
+ * between its wires.
+ * @param {number} rate  bytes per second (0 for no limit)
+ */
+Swarm.prototype.setDownloadLimit = function (rate) {
+  this._downloadThrottle.setRate(rate)
+}
+
+/**
+ * Set the upload rate limit of this swarm.
+ * @param {number} rate  bytes per second (0 for no limit)
  */
-Swarm.prototype.pause = function () {
-  debug('pause')
+Swarm.prototype.setUploadLimit = function (rate) {
+  this._uploadThrottle.setRate(rate)
+}
+
+/**
+ * Temporarily stop connecting to new peers. By default ('dial' mode), this does
+ * not pause new incoming connections, nor does it pause the streams of existing
+ * connections or their wires. In 'full' mode, incoming peers are refused and
+ * the traffic of existing wires is stopped too.
+ * @param {Object=} opts
+ *   mode        {string}   'dial' or 'full' (default: 'dial')
+ *   disconnect  {boolean}  in 'full' mode, also close all connections; peers
+ *                          we dialed stay queued until `resume` (default: false)
+ */
+Swarm.prototype.pause = function (opts) {
+  if (!opts) opts = {}
+  var mode = opts.mode || 'dial'
+  debug('pause %s', mode)
+  this._unpause()
   this._paused = true
+  this._pauseMode = mode
+  this._sources.forEach(this._stopSource, this)
+  if (mode !== 'full') return
+
+  this._downloadThrottle.pause()
+  this._uploadThrottle.pause()
+
+  if (!opts.disconnect) return
+  this._pauseDisconnect = true
+  for (var addr in this._peers) {
+    var peer = this._peers[addr]
+    if (!peer || !peer.conn) continue
+    if (peer.source === 'incoming') this._removePeer(addr, 'paused')
+    else peer.conn.destroy() // queued again by _reconnect
+  }
 }
 
 /**
- * Resume connecting to new peers.
+ * Resume connecting to new peers, and undo everything `pause` did.
  */
 Swarm.prototype.resume = function () {
   debug('resume')
-  this._paused = false
+  this._unpause()
+  if (this.listening) this._sources.forEach(this._startSource, this)
   this._drain()
 }
 
+Swarm.prototype._unpause = function () {
+  this._paused = false
+  this._pauseMode = null
+  this._pauseDisconnect = false
+  this._downloadThrottle.resume()
+  this._uploadThrottle.resume()
+}
+
 /**
  * Remove a peer from the swarm.
  * @param  {string} addr  ip address and port (ex: 12.34.56.78:12345)
  */
 Swarm.prototype.removePeer = function (addr) {
   debug('removePeer %s', addr)
-  this._removePeer(addr)
+  this._removePeer(this._normalizeAddr(addr), 'removed')
   this._drain()
 }
 
 /**
  * Private method to remove a peer from the swarm without calling _drain().
+ * Emits 'peer-removed', unless the swarm is being destroyed.
  * @param  {string} addr  ip address and port (ex: 12.34.56.78:12345)
+ * @param  {string} reason  why the peer was removed
  */
-Swarm.prototype._removePeer = function (addr) {
+Swarm.prototype._removePeer = function (addr, reason) {
   var peer = this._peers[addr]
   if (!peer) return
-  debug('_removePeer %s', addr)
+  debug('_removePeer %s (%s)', addr, reason)
   this._peers[addr] = null
   this._peersLength -= 1
-  if (peer.node)
-    this._queue.splice(this._queue.indexOf(peer), 1)
+  this._queue.remove(peer)
   if (peer.timeout)
     clearTimeout(peer.timeout)
   if (peer.wire)
     peer.wire.destroy()
+  if (!this.destroyed) this.emit('peer-removed', addr, { reason: reason })
 }
 
 /**
@@ -415,7 +1544,7 @@ Swarm.prototype.listen = function (port, onlistening) {
     onlistening = port
     port = undefined
   }
-  if (this.listening) throw new Error('swarm already listening')
+  if (this.listening || this._relisten) throw new Error('swarm already listening')
   if (onlistening) this.once('listening', onlistening)
   debug('listen %s', port)
 
@@ -427,16 +1556,93 @@ Swarm.prototype.listen = function (port, onlistening) {
   }.bind(this)
 
   if (port) onPort(null, port)
-  else getImplicitListenPort(function (err, port) {
+  else this.session._implicitPort(function (err, port) {
     if (err)
       onPort(err)
-    else if (Pool.pools[port] && Pool.pools[port].swarms[this.infoHashHex])
-      portfinder.getPort(onPort)
+    else if (this._transports.some(function (t) {
+      var pool = Pool.get(this.session, t.transport, port, this.host)
+      return pool && pool.swarms[this.infoHashHex]
+    }, this))
+      this.session._findPort(onPort)
     else
       onPort(null, port)
   }.bind(this))
 }
 
+/**
+ * Move the swarm to another port, keeping its wires and queued peers. The swarm
+ * keeps accepting peers on its old port until it's listening on the new one,
+ * and then emits 'listening' again. If it can't listen on the new port, it stays
+ * on the old one and calls back with the error.
+ * @param  {number} port
+ * @param  {function=} cb  called with an error, or null once listening
+ */
+Swarm.prototype.relisten = function (port, cb) {
+  if (!this.port) throw new Error('swarm is not listening')
+  if (this._relisten) throw new Error('swarm is already moving to another port')
+  if (cb) cb = dezalgo(cb)
+  if (port === this.port) return cb && cb(null)
+  debug('relisten %s -> %s', this.port, port)
+
+  var taken = this._transports.some(function (t) {
+    var pool = Pool.get(this.session, t.transport, port, this.host)
+    return pool && pool.swarms[this.infoHashHex]
+  }, this)
+  if (taken) {
+    var err = new Error('Swarm listen error: There is already a swarm with ' +
+      'infoHash ' + this.infoHashHex + ' listening on port ' + port)
+    if (cb) return cb(err)
+    return process.nextTick(function () {
+      this.emit('error', err)
+    }.bind(this))
+  }
+
+  this._relisten = {
+    port: this.port,
+    pools: this._listeningPools,
+    listening: this.listening,
+    cb: cb
+  }
+  this.port = port
+  this._listeningPools = []
+  this.listening = false
+  Pool.add(this)
+}
+
+/**
+ * Called once the swarm listens on the port it's moving to. Leave the old pools
+ * without closing the connections of the swarm's peers.
+ */
+Swarm.prototype._relistened = function () {
+  var moving = this._relisten
+  this._relisten = null
+
+  this._transports.forEach(function (t) {
+    var pool = Pool.get(this.session, t.transport, moving.port, this.host)
+    if (pool) pool.releasePeers(this)
+  }, this)
+  Pool.remove(this, moving.port)
+}
+
+/**
+ * Called when the swarm can't listen on the port it's moving to. Go back to the
+ * old port.
+ * @param  {Error} err
+ */
+Swarm.prototype._relistenFailed = function (err) {
+  var moving = this._relisten
+  this._relisten = null
+  debug('relisten to %s failed (%s)', this.port, err.message)
+
+  Pool.remove(this)
+  this.port = moving.port
+  this._listeningPools = moving.pools
+  this.listening = moving.listening
+
+  if (moving.cb) moving.cb(err)
+  else this.emit('error', err)
+}
+
 /**
  * Destroy the swarm, close all open peer connections, and do cleanup.
  * @param {function} onclose
@@ -449,16 +1655,31 @@ Swarm.prototype.destroy = function (onclose) {
 
   debug('destroy')
 
+  this.blocklist.removeListener('update', this._onblocklistupdate)
+  this.session.blocklist.removeListener('update', this._onblocklistupdate)
+
+  if (this.choker) this.choker.destroy()
+  clearInterval(this._pexTimer)
+  if (this.lsd) this.session._leaveLsd(this)
+
+  this._sources.forEach(function (entry) {
+    entry.source.removeListener('peer', entry.onpeer)
+    if (typeof entry.source.destroy === 'function') entry.source.destroy()
+  })
+  this._sources = []
+
   for (var addr in this._peers) {
     this._removePeer(addr)
   }
 
-  this._connTimeouts.forEach(function (conn) {
+  this._connTimeouts.slice().forEach(function (conn) {
     clearTimeout(conn.timeout)
     conn.destroy()
   })
 
   Pool.remove(this)
+  if (this._relisten) Pool.remove(this, this._relisten.port)
+  this.session.connBudget.remove(this)
 
   process.nextTick(function () {
     this.emit('close')
@@ -466,102 +1687,306 @@ Swarm.prototype.destroy = function (onclose) {
 }
 
 /**
- * Pop a peer off the FIFO queue and connect to it. When _drain() gets called,
- * the queue will usually have only one peer in it, except when there are too
- * many peers (over `this.maxConns`) in which case they will just sit in the
- * queue until another connection closes.
+ * Take the best peers off the queue and connect to them, until the swarm (or
+ * the connection budget) has no room for more. When _drain() gets called, the
+ * queue will usually have only one peer in it, except after `importPeers`,
+ * `resume` or when there are too many peers (over `this.maxConns`), in which
+ * case the rest just sit in the queue until another connection closes.
  */
 Swarm.prototype._drain = function () {
-  if (this._paused || this.destroyed || this.numConns >= this.maxConns)
-    return
-
-  var peer = this._queue.shift()
-  if (!peer) return
-
-  if (peer.timeout) {
-    clearTimeout(peer.timeout)
-    peer.timeout = null
-  }
+  if (this._paused || this.destroyed) return
+
+  var numConns = this.numConns
+  while (numConns < this.maxConns && this._queue.length > 0 &&
+      this.session.connBudget.canDial(this)) {
+    var peer = this._queue.shift()
+    if (peer.timeout) {
+      clearTimeout(peer.timeout)
+      peer.timeout = null
+      peer.retryAt = null
+    }
 
-  var parts = addrToIPPort(peer.addr)
-  var connOpts = {
-    host: parts[0],
-    port: parts[1]
+    this._dial(peer)
+    numConns += 1
+    if (this._paused || this.destroyed) return
   }
+}
 
-  if (net.isUTP && this.port) {
-    connOpts.localPort = this.port
-  }
+/**
+ * Dial a peer over the swarm's transports and keep the connection that
+ * handshakes first. With the 'fallback' dial strategy, the next transport is
+ * dialed when the previous attempt fails or has not handshaken within
+ * `FALLBACK_TIMEOUT`. With the 'race' strategy, all transports are dialed at
+ * once.
+ * @param  {Peer} peer
+ * @param  {Object=} opts
+ *   holepunch  {boolean}  dial over uTP only, as one side of a hole punch, and
+ *                         don't ask for another hole punch when it fails
+ */
+Swarm.prototype._dial = function (peer, opts) {
+  var holepunch = !!(opts && opts.holepunch)
+  var transports = holepunch ? this._utpTransports() : this._transports
+  var parts = peerAddr.parse(peer.addr)
+  var attempts = [] // connections dialed for this peer
+  var next = 0 // index of the next transport to dial
+  var pending = 0 // number of attempts still in progress
+  var connected = false // did any attempt connect?
+  var won = false
+  var fallbackTimeout = null
+  var reason = null // why the last attempt failed
+
+  peer.dialing = true
+  this.session.connBudget.dialing(this)
+  this.emit('peer-connecting', peer.addr, { retries: peer.retries })
+
+  var done = function () {
+    clearTimeout(fallbackTimeout)
+    peer.dialing = false
+    peer.handshaking = false
+    attempts.forEach(function (conn) {
+      clearTimeout(conn.timeout)
+      var index = this._connTimeouts.indexOf(conn)
+      if (index !== -1) this._connTimeouts.splice(index, 1)
+    }, this)
+
+    // Let other swarms use the freed half-open slot
+    var budget = this.session.connBudget
+    if (budget.maxHalfOpen !== Infinity)
+      process.nextTick(function () { budget.drain() })
+  }.bind(this)
 
-  var conn = net.connect(connOpts)
+  var onhandshake = function (conn, wire, throttles, infoHash, peerId) {
+    if (won) return
+    won = true
+    done()
+    this.session.connBudget.dialed(this, true) // until the conn closes
 
-  debug('attempt connect to %s (numConns %s numPeers %s)', peer.addr, this.numConns, this.numPeers)
+    attempts.forEach(function (attempt) {
+      if (attempt !== conn) attempt.destroy()
+    })
 
-  // Peer must respond to handshake in timely manner
-  var timeout = setTimeout(function () {
-    conn.destroy()
-    this._connTimeouts.splice(this._connTimeouts.indexOf(conn), 1)
-  }.bind(this), HANDSHAKE_TIMEOUT)
+    peer.onconnect(conn, wire, throttles)
+    this._onconn(peer)
 
-  conn.timeout = timeout
-  this._connTimeouts.push(conn)
+    if (this.destroyed || this._peers[peer.addr] !== peer)
+      return peer.conn.destroy()
+    if (this._pauseDisconnect) {
+      peer.conn.destroy()
+      return this._queue.push(peer)
+    }
 
-  var onhandshake = function (infoHash, peerId) {
-    clearTimeout(timeout)
-    this._connTimeouts.splice(this._connTimeouts.indexOf(conn), 1)
+    // Don't bother reconnecting to peers that are in another swarm, or that
+    // turn out to be ourselves
+    if (infoHash.toString('hex') !== this.infoHashHex) {
+      peer.conn.destroy()
+      return this._removePeer(peer.addr, 'wrong infoHash')
+    }
+    if (peerId.toString('hex') === this.peerIdHex) {
+      peer.conn.destroy()
+      return this._removePeer(peer.addr, 'self')
+    }
 
-    if (this.destroyed || infoHash.toString('hex') !== this.infoHashHex
-        || peerId.toString('hex') === this.peerIdHex)
-      return peer.conn.destroy()
+    // When wire dies, repeatedly attempt to reconnect to the peer, after a
+    // timeout, with exponential backoff.
+    wire.on('end', function () {
+      this._reconnect(peer, 'disconnected', wire)
+    }.bind(this))
 
     this._onwire(peer)
   }.bind(this)
 
-  var onconnect = function () {
-    peer.onconnect(conn)
-    this._onconn(peer)
+  var onclose = function () {
+    if (won) return
+    pending -= 1
+    if (next < transports.length) return dialNext()
+    if (pending > 0) return
+
+    done()
+    this.session.connBudget.dialed(this, false)
+    if (this.destroyed || this._peers[peer.addr] !== peer) return
+
+    // Either the peer could not be reached, or it accepted a connection but
+    // never handshook. Try again later, like for dropped wires.
+    reason = reason || (connected ? 'closed before handshake' : 'connection closed')
+    debug('failed to connect %s (%s)', peer.addr, reason)
+    peer.failures += 1
+    this._sourceStat(peer.source).failures += 1
+    this.emit('peer-connect-failed', peer.addr, {
+      reason: reason,
+      connected: connected
+    })
+    // Peers behind a NAT may still be reached through one of our peers
+    if (!holepunch) this._requestHolepunch(peer)
+    this._reconnect(peer, reason)
+  }.bind(this)
 
-    var wire = peer.wire
-    wire.on('handshake', onhandshake)
+  var dialNext = function () {
+    clearTimeout(fallbackTimeout)
+    if (won || this.destroyed || next >= transports.length) return
 
-    // When wire dies, repeatedly attempt to reconnect to the peer, after a
-    // timeout, with exponential backoff.
-    wire.on('end', function () {
-      if (this.destroyed
-          || wire.destroyed
-          || peer.retries >= RECONNECT_WAIT.length)
-        return this._removePeer(peer.addr)
-
-      var readd = function () {
-        // conn.destroy()
-        this._queue.push(peer)
-        this._drain()
-      }.bind(this)
+    pending += 1
+    connect(transports[next++], this.encryption !== 'disable')
 
-      peer.timeout = setTimeout(readd, RECONNECT_WAIT[peer.retries++])
-    }.bind(this))
+    if (this.dialStrategy === 'race') dialNext()
+    else fallbackTimeout = setTimeout(dialNext, FALLBACK_TIMEOUT)
+  }.bind(this)
+
+  var connect = function (t, encrypt) {
+    var connOpts = {
+      host: parts[0],
+      port: parts[1]
+    }
 
-    wire.handshake(this.infoHash, this.peerId, this.handshake)
+    if (t.name === 'utp' && this.port) {
+      connOpts.localPort = this.port
+    }
+    if (this.localAddress) {
+      connOpts.localAddress = this.localAddress
+    }
+
+    var conn = t.transport.connect(connOpts)
+    var negotiated = !encrypt // is the encryption handshake done?
+    var attemptConnected = false
+    attempts.push(conn)
+
+    debug('attempt connect to %s over %s (encrypt %s numConns %s numPeers %s)',
+      peer.addr, t.name, encrypt, this.numConns, this.numPeers)
+
+    // Peer must respond to handshake in timely manner
+    var handshakeTimeout = this.reconnectPolicy.handshakeTimeout
+    conn.timeout = setTimeout(function () {
+      reason = 'handshake timeout'
+      this.emit('peer-handshake-timeout', peer.addr, {
+        transport: t.name,
+        timeout: handshakeTimeout
+      })
+      conn.destroy()
+    }.bind(this), handshakeTimeout)
+    this._connTimeouts.push(conn)
+
+    var onnegotiated = function (result) {
+      negotiated = true
+
+      var wire = new Wire()
+      wire.transport = t.name
+      wire.encrypted = result.encrypted
+      wire.remoteAddress = peer.addr
+
+      var throttles = createThrottles(
+        [this._downloadThrottle, this.session.downloadThrottle],
+        [this._uploadThrottle, this.session.uploadThrottle]
+      )
+
+      wire.on('handshake', function (infoHash, peerId) {
+        onhandshake(conn, wire, throttles, infoHash, peerId)
+      })
+      this._useExtensions(wire) // before the handshake announces them
+      wire.handshake(this.infoHash, this.peerId, this._handshakeFlags())
+      mse.pipe(conn, wire, result, throttles)
+    }.bind(this)
+
+    conn.on('connect', function () {
+      connected = attemptConnected = true
+      peer.handshaking = true
+
+      debug('connected to %s over %s (numConns %s numPeers %s)',
+        peer.addr, t.name, this.numConns, this.numPeers)
+
+      if (!encrypt) return onnegotiated({ encrypted: false, head: new Buffer(0) })
+
+      mse.initiate(conn, this.infoHash, this.encryption, function (err, result) {
+        if (err) {
+          debug('encryption handshake with %s failed (%s)', peer.addr, err.message)
+          reason = 'encryption handshake failed: ' + err.message
+          return conn.destroy()
+        }
+        onnegotiated(result)
+      })
+    }.bind(this))
 
-    debug('connected to %s (numConns %s numPeers %s)', peer.addr, this.numConns, this.numPeers)
+    conn.on('error', function (err) {
+      debug('failed to connect %s over %s (%s)', peer.addr, t.name, err.message)
+      reason = err.message
+    })
+    conn.once('close', function () {
+      // Peer does not speak the encryption handshake, so try again in plaintext
+      if (!won && !negotiated && attemptConnected && !this.destroyed &&
+          this.encryption === 'prefer') {
+        clearTimeout(conn.timeout)
+        this._connTimeouts.splice(this._connTimeouts.indexOf(conn), 1)
+        return connect(t, false)
+      }
+      onclose()
+    }.bind(this))
   }.bind(this)
 
-  conn.on('connect', onconnect)
-  conn.on('error', function (err) {
-    debug('failed to connect %s (%s)', peer.addr, err.message)
-    // TODO: retry or end connection?
+  dialNext()
+}
+
+/**
+ * Called when the connection to a peer we dialed is lost, or when dialing it
+ * failed. Repeatedly attempt to reconnect to the peer, after the delay decided
+ * by `this.reconnectPolicy`, until the policy gives up.
+ * @param  {Peer} peer
+ * @param  {string} reason  why the connection was lost
+ * @param  {Wire=} wire
+ */
+Swarm.prototype._reconnect = function (peer, reason, wire) {
+  if (this.destroyed || this._peers[peer.addr] !== peer) return
+  if (wire && wire.destroyed)
+    return this._removePeer(peer.addr, 'wire destroyed')
+  if (this._duplicates[peer.peerId] === peer) return // dial when the kept one closes
+  if (this._pauseDisconnect) return this._queue.push(peer) // dial on resume
+
+  var wait = this.reconnectPolicy.retryDelay(peer, reason, peer.retries)
+  if (wait == null)
+    return this._removePeer(peer.addr, 'retries exhausted')
+  peer.retries += 1
+  debug('reconnect to %s in %s ms (%s)', peer.addr, wait, reason)
+  this._retryLater(peer, wait)
+  this.emit('peer-reconnect-scheduled', peer.addr, {
+    reason: reason,
+    wait: wait,
+    retries: peer.retries
   })
 }
 
+/**
+ * Queue a peer again after `wait` ms.
+ * @param  {Peer} peer
+ * @param  {number} wait
+ */
+Swarm.prototype._retryLater = function (peer, wait) {
+  peer.retryAt = Date.now() + wait
+  peer.timeout = setTimeout(function () {
+    peer.timeout = null
+    peer.retryAt = null
+    this._queue.push(peer)
+    this._drain()
+  }.bind(this), wait)
+}
+
 /**
  * Called whenever a new peer wants to connects to this swarm. Called with a
  * peer that has already sent us a handshake.
  * @param  {Peer} peer
  */
 Swarm.prototype._onincoming = function (peer) {
+  var full = this.numConns >= this.maxConns || this.numIncoming >= this.maxIncoming ||
+    !this.session.connBudget.canAccept(this)
+  if (full && !this._evict(this.numIncoming >= this.maxIncoming)) {
+    debug('refused incoming peer %s: too many connections', peer.addr)
+    return peer.conn.destroy()
+  }
+
   this._peers[peer.wire.remoteAddress] = peer
   this._peersLength += 1
-  peer.wire.handshake(this.infoHash, this.peerId, this.handshake)
+  this._sourceStat(peer.source).peers += 1
+  this.session.connBudget.accepted(this)
+  peer.throttles.download.throttles.unshift(this._downloadThrottle)
+  peer.throttles.upload.throttles.unshift(this._uploadThrottle)
+  this._useExtensions(peer.wire) // before the handshake announces them
+  peer.wire.handshake(this.infoHash, this.peerId, this._handshakeFlags())
 
   this._onconn(peer)
   this._onwire(peer)
@@ -571,13 +1996,35 @@ Swarm.prototype._onincoming = function (peer) {
 // CONNECTION AND WIRE HANDLERS
 //
 
+/**
+ * Called whenever one of the swarm's pools starts listening. The swarm is
+ * listening once the pools for all of its transports are.
+ * @param  {Pool} pool
+ */
+Swarm.prototype._onlistening = function (pool) {
+  if (this.destroyed) return
+  if (this._listeningPools.indexOf(pool) === -1) this._listeningPools.push(pool)
+  if (this.listening || this._listeningPools.length < this._transports.length)
+    return
+
+  debug('listening %s', this.port)
+  this.listening = true
+  var moving = this._relisten
+  if (moving) this._relistened()
+  if (this.lsd) this.session._joinLsd(this)
+  if (!this._paused) this._sources.forEach(this._startSource, this)
+  this.emit('listening', this.port)
+  if (moving && moving.cb) moving.cb(null)
+}
+
 /**
  * Called whenever a new connection is connected.
  * @param {Socket} peer
  */
 Swarm.prototype._onconn = function (peer) {
   peer.conn.once('close', function () {
-    this._drain() // allow another connection to be opened
+    this.session.connBudget.closed(this)
+    this.session.connBudget.drain(this) // allow another connection to be opened
   }.bind(this))
 }
 
@@ -590,9 +2037,35 @@ Swarm.prototype._onwire = function (peer) {
   var wire = peer.wire
 
   peer.retries = 0
+  peer.successes += 1
+  this._sourceStat(peer.source).successes += 1
+  peer.peerId = wire.peerId.toString('hex')
+  peer.lastConnected = Date.now()
+
+  // Keep only one connection to each peer id, ex: when we dialed a peer while
+  // it was dialing us
+  var other = this._peersById[peer.peerId]
+  if (other && other !== peer && other.wire) {
+    var keep = this._resolveDuplicate(other, peer)
+    var drop = keep === other ? peer : other
+    debug('duplicate connection to %s: keeping %s, closing %s',
+      peer.peerId, keep.addr, drop.addr)
+
+    // Incoming peers are never dialed, but we hold on to outgoing ones (and
+    // their stats) to dial them again once the kept connection closes
+    var dropConn = drop.conn
+    if (drop.source === 'incoming') this._removePeer(drop.addr, 'duplicate')
+    else this._duplicates[peer.peerId] = drop
+    this.emit('peer-duplicate', drop.addr, { peerId: peer.peerId, kept: keep.addr })
+    dropConn.destroy()
+    if (drop === peer) return
+  }
+  this._peersById[peer.peerId] = peer
 
   // Track total bytes downloaded by the swarm
   wire.on('download', function (downloaded) {
+    peer.downloaded += downloaded
+    this._sourceStat(peer.source).downloaded += downloaded
     this.downloaded += downloaded
     this.downloadSpeed(downloaded)
     this.emit('download', downloaded)
@@ -600,6 +2073,8 @@ Swarm.prototype._onwire = function (peer) {
 
   // Track total bytes uploaded by the swarm
   wire.on('upload', function (uploaded) {
+    peer.uploaded += uploaded
+    this._sourceStat(peer.source).uploaded += uploaded
     this.uploaded += uploaded
     this.uploadSpeed(uploaded)
     this.emit('upload', uploaded)
@@ -607,6 +2082,15 @@ Swarm.prototype._onwire = function (peer) {
 
   var cleanup = once(function () {
     this.wires.splice(this.wires.indexOf(wire), 1)
+    if (this._peersById[peer.peerId] === peer) {
+      delete this._peersById[peer.peerId]
+      var duplicate = this._duplicates[peer.peerId]
+      if (duplicate) {
+        delete this._duplicates[peer.peerId]
+        this._reconnect(duplicate, 'disconnected')
+      }
+    }
+    if (this.choker) this.choker.remove(wire)
     conn.destroy()
   }.bind(this))
 
@@ -616,18 +2100,325 @@ Swarm.prototype._onwire = function (peer) {
   wire.on('finish', cleanup)
 
   this.wires.push(wire)
+  if (this.choker) this.choker.add(wire)
   this.emit('wire', wire)
 }
 
 /**
- * Is the address valid?
+ * Register the swarm's extensions on a wire. Must be called before the
+ * extended handshake is sent, which announces them.
+ * @param  {Wire} wire
+ */
+Swarm.prototype._useExtensions = function (wire) {
+  if (this.port) wire.extendedHandshake.p = this.port // our listening port
+  this._extensions.forEach(function (Extension) {
+    wire.use(Extension)
+  })
+}
+
+/**
+ * Handshake flags to send, with the extension protocol (BEP 10) always on.
+ * @return {Object}
+ */
+Swarm.prototype._handshakeFlags = function () {
+  return extend(this.handshake, { extended: true })
+}
+
+/**
+ * Peers to tell the peer on `wire` about, through pex: the connected peers we
+ * know a listening address of.
+ * @param  {Wire} wire
+ * @return {Array.<Object>} {addr, encrypted} objects
+ */
+Swarm.prototype._pexPeers = function (wire) {
+  var peers = []
+  this.wires.forEach(function (other) {
+    var addr = other !== wire && this._listenAddr(other)
+    if (addr) peers.push({ addr: addr, encrypted: other.encrypted })
+  }, this)
+  return peers
+}
+
+/**
+ * Address that the peer on `wire` listens on.
+ * @param  {Wire} wire
+ * @return {string} or null if unknown
+ */
+Swarm.prototype._listenAddr = function (wire) {
+  var peer = this._peers[wire.remoteAddress]
+  if (!peer) return null
+  if (peer.source !== 'incoming') return peer.addr
+
+  // The port that incoming peers connect from is not the one they listen on
+  var port = wire.peerExtendedHandshake.p
+  if (typeof port !== 'number' || port <= 0 || port >= 65536) return null
+  return peerAddr.format(peerAddr.parse(peer.addr)[0], port)
+}
+
+/**
+ * Called with every peer received through pex.
+ * @param {string} addr
+ */
+Swarm.prototype._onPexPeer = function (addr) {
+  if (this.destroyed) return
+  var numPex = 0
+  for (var key in this._peers) {
+    if (this._peers[key] && this._peers[key].source === 'pex') numPex += 1
+  }
+  if (numPex >= this._pexMaxPeers) return debug('ignoring pex peer %s', addr)
+  this.addPeer(addr, { source: 'pex' })
+}
+
+/**
+ * @param  {string} addr
+ * @return {Wire} open wire to the peer that listens on `addr`, or null
+ */
+Swarm.prototype._wireByListenAddr = function (addr) {
+  for (var i = 0; i < this.wires.length; i++) {
+    if (this._listenAddr(this.wires[i]) === addr) return this.wires[i]
+  }
+  return null
+}
+
+/**
+ * Transports that hole punching works with, i.e. uTP: both peers dial each
+ * other from their listening port, which opens the way through their NATs.
+ * @return {Array.<Object>} {name, transport} objects
+ */
+Swarm.prototype._utpTransports = function () {
+  return this._transports.filter(function (t) { return t.name === 'utp' })
+}
+
+/**
+ * Ask a connected peer that told us about `peer` through pex to relay a
+ * rendezvous with it, after dialing it directly failed.
+ * @param {Peer} peer
+ */
+Swarm.prototype._requestHolepunch = function (peer) {
+  if (!this._holepunch || !this.port || this._utpTransports().length === 0) return
+
+  var relay = null
+  this.wires.some(function (wire) {
+    if (wire.ut_holepunch && wire.ut_holepunch.supported &&
+        wire.ut_pex && wire.ut_pex.peers[peer.addr] !== undefined) relay = wire
+    return relay
+  })
+  if (!relay) return
+
+  // Forget the rendezvous that were never answered
+  var now = Date.now()
+  for (var addr in this._rendezvous) {
+    if (now - this._rendezvous[addr].time >= HOLEPUNCH_TIMEOUT)
+      delete this._rendezvous[addr]
+  }
+  if (this._rendezvous[peer.addr]) return // still waiting for an answer
+
+  debug('asking %s to relay a rendezvous with %s', relay.remoteAddress, peer.addr)
+  this._rendezvous[peer.addr] = { relay: relay, time: now }
+  relay.ut_holepunch.rendezvous(peer.addr)
+}
+
+/**
+ * Called when the peer on `wire` asks us to relay a rendezvous with `addr`:
+ * tell both peers to connect to each other, if we're connected to `addr`.
+ * @param {Wire} wire
+ * @param {string} addr
+ */
+Swarm.prototype._onRendezvous = function (wire, addr) {
+  if (this.destroyed) return
+  var from = this._listenAddr(wire)
+  if (!from) return debug('ignoring rendezvous from %s', wire.remoteAddress)
+  if (addr === from) return wire.ut_holepunch.error(addr, utHolepunch.ERR_NO_SELF)
+
+  var target = this._wireByListenAddr(addr)
+  if (!target) {
+    var known = !!this._peers[addr]
+    return wire.ut_holepunch.error(addr, known
+      ? utHolepunch.ERR_NOT_CONNECTED
+      : utHolepunch.ERR_NO_SUCH_PEER)
+  }
+  if (!target.ut_holepunch || !target.ut_holepunch.supported)
+    return wire.ut_holepunch.error(addr, utHolepunch.ERR_NO_SUPPORT)
+
+  debug('relaying rendezvous between %s and %s', from, addr)
+  target.ut_holepunch.connect(from)
+  wire.ut_holepunch.connect(addr)
+}
+
+/**
+ * Called when a relay tells us to connect to `addr`: dial it right away, over
+ * uTP, while it dials us. That's either the answer to a rendezvous we asked the
+ * relay for, or a peer that asked the relay for a rendezvous with us. As any
+ * peer could send these, and make us dial any address, the ones we didn't ask
+ * for are limited to one every `HOLEPUNCH_INTERVAL` per relay, and at most
+ * `holepunch.maxPeers` of the peers they add are kept at a time.
+ * @param {Wire} wire
+ * @param {string} addr
+ */
+Swarm.prototype._onHolepunchConnect = function (wire, addr) {
+  if (this.destroyed || this._paused || !this.port ||
+      this._utpTransports().length === 0) return
+  addr = this._normalizeAddr(addr)
+
+  var now = Date.now()
+  var asked = this._rendezvous[addr]
+  if (asked && asked.relay === wire && now - asked.time < HOLEPUNCH_TIMEOUT) {
+    delete this._rendezvous[addr]
+  } else {
+    if (now - wire.ut_holepunch.lastUnsolicited < HOLEPUNCH_INTERVAL)
+      return debug('ignoring connect to %s from %s: too soon', addr, wire.remoteAddress)
+    wire.ut_holepunch.lastUnsolicited = now
+  }
+  if (this._wireByListenAddr(addr)) return // already connected
+
+  var peer = this._peers[addr]
+  if (peer) {
+    if (peer.dialing || peer.conn) return
+    clearTimeout(peer.timeout) // backing off after a failed dial
+    peer.timeout = null
+    peer.retryAt = null
+    this._queue.remove(peer)
+  } else {
+    var numHolepunch = 0
+    for (var key in this._peers) {
+      if (this._peers[key] && this._peers[key].source === 'holepunch') numHolepunch += 1
+    }
+    if (numHolepunch >= this._holepunchMaxPeers)
+      return debug('ignoring connect to %s: too many hole punched peers', addr)
+    peer = this._createPeer(addr, { source: 'holepunch' })
+    if (!peer) return
+  }
+
+  if (this.numConns >= this.maxConns || !this.session.connBudget.canDial(this)) {
+    this._queue.push(peer)
+    return this._drain()
+  }
+  debug('hole punching %s through %s', peer.addr, wire.remoteAddress)
+  this._dial(peer, { holepunch: true })
+}
+
+/**
+ * Send the changes to our connected peers to every wire that supports pex.
+ */
+Swarm.prototype._updatePex = function () {
+  this.wires.forEach(function (wire) {
+    if (wire.ut_pex) wire.ut_pex.update()
+  })
+}
+
+/**
+ * Make room for a new connection by closing the least useful wire, i.e. the
+ * one with the lowest download and upload speed, among the wires that are
+ * connected for more than `EVICT_GRACE`. Evicted incoming peers are removed,
+ * evicted outgoing peers are dialed again later.
+ * @param  {boolean} incoming  only evict incoming peers
+ * @return {boolean} was a wire evicted?
+ */
+Swarm.prototype._evict = function (incoming) {
+  var now = Date.now()
+  var worst = null
+  var worstScore = Infinity
+  for (var addr in this._peers) {
+    var peer = this._peers[addr]
+    if (!peer || !peer.wire || !peer.conn) continue
+    if (incoming && peer.source !== 'incoming') continue
+    if (now - peer.lastConnected < EVICT_GRACE) continue
+    var score = peer.wire.downloadSpeed() + peer.wire.uploadSpeed()
+    if (score < worstScore) {
+      worst = peer
+      worstScore = score
+    }
+  }
+  if (!worst) return false
+
+  debug('evicting %s', worst.addr)
+  if (worst.source === 'incoming') this._removePeer(worst.addr, 'evicted')
+  else worst.conn.destroy()
+  return true
+}
+
+/**
+ * Pick which of two connections to the same peer id to keep. Both ends must
+ * pick the same connection, so when one was dialed by each side, the one
+ * dialed by the peer with the lower id is kept. Otherwise, the oldest is kept.
+ * @param  {Peer} existing  peer with the older connection
+ * @param  {Peer} peer      peer with the new connection
+ * @return {Peer} the peer to keep
+ */
+Swarm.prototype._resolveDuplicate = function (existing, peer) {
+  var existingOutgoing = existing.source !== 'incoming'
+  if (existingOutgoing === (peer.source !== 'incoming')) return existing
+
+  var outgoing = existingOutgoing ? existing : peer
+  var incoming = existingOutgoing ? peer : existing
+  return this.peerIdHex < peer.peerId ? outgoing : incoming
+}
+
+/**
+ * Is the address valid? Addresses of this machine on our own port are not, so
+ * we don't connect to ourselves.
  * @param  {string} addr
  * @return {boolean}
  */
 Swarm.prototype._validAddr = function (addr) {
-  var parts = addrToIPPort(addr)
+  var parts = peerAddr.parse(addr)
+  if (!parts) return false
   var ip = parts[0]
   var port = parts[1]
   return port > 0 && port < 65535
-    && !(ip === '127.0.0.1' && port === this.port)
+    && !(port === this.port && peerAddr.isLocal(ip))
+    && this._reachable(ip)
+}
+
+/**
+ * Can peers at `ip` be dialed from our `localAddress`? The address family has
+ * to match.
+ * @param  {string} ip
+ * @return {boolean}
+ */
+Swarm.prototype._reachable = function (ip) {
+  if (!this.localAddress) return true
+  return net.isIPv4(peerAddr.normalize(ip)) ===
+    net.isIPv4(peerAddr.normalize(this.localAddress))
+}
+
+/**
+ * Find the rule in the swarm's or the session's blocklist that blocks `addr`.
+ * @param  {string} addr
+ * @return {string} the matching rule, or null if the address is not blocked
+ */
+Swarm.prototype._blocked = function (addr) {
+  var parts = peerAddr.parse(addr)
+  if (!parts) return null
+  var ip = peerAddr.normalize(parts[0])
+  return this.blocklist.match(ip) || this.session.blocklist.match(ip)
+}
+
+/**
+ * Called when a blocklist changes. Drop all peers (queued or connected) that
+ * are now blocked.
+ */
+Swarm.prototype._checkBlocklist = function () {
+  if (this.destroyed) return
+  for (var addr in this._peers) {
+    if (!this._peers[addr]) continue
+    var rule = this._blocked(addr)
+    if (rule) {
+      debug('removing newly blocked peer %s (%s)', addr, rule)
+      this._removePeer(addr, 'blocked')
+      this.emit('blocked', addr, rule)
+    }
+  }
+  this._drain()
+}
+
+/**
+ * Get the canonical form of an address, so the same peer always has the same
+ * key in `this._peers` (ex: [::ffff:1.2.3.4]:80 becomes 1.2.3.4:80).
+ * @param  {string} addr
+ * @return {string}
+ */
+Swarm.prototype._normalizeAddr = function (addr) {
+  var parts = peerAddr.parse(addr)
+  return parts ? peerAddr.format(parts[0], parts[1]) : addr
 }
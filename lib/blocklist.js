@@ -0,0 +1,162 @@
+module.exports = Blocklist
+
+var debug = require('debug')('bittorrent-swarm:blocklist')
+var EventEmitter = require('events').EventEmitter
+var inherits = require('inherits')
+var net = require('net')
+var peerAddr = require('./peer-addr')
+
+inherits(Blocklist, EventEmitter)
+
+/**
+ * Blocklist
+ * =========
+ * A list of IP ranges to refuse peers from. Rules can be given as:
+ *
+ *   - single addresses (ex: 1.2.3.4 or 2001:db8::1)
+ *   - CIDR ranges (ex: 10.0.0.0/8 or 2001:db8::/32)
+ *   - ranges (ex: 1.2.3.0-1.2.3.255)
+ *   - the P2P range-list format, which is a range prefixed with a description
+ *     (ex: Some Organization:1.2.3.0-1.2.3.255)
+ *
+ * Emits 'update' whenever rules are added or removed.
+ *
+ * @param {Array.<string>|string} rules  list of rules, or a string with one rule
+ *                                       per line
+ */
+function Blocklist (rules) {
+  if (!(this instanceof Blocklist)) return new Blocklist(rules)
+  EventEmitter.call(this)
+
+  this._ranges = [] // sorted by start address
+  this._maxEnd = [] // maxEnd[i] = highest end address in _ranges[0..i]
+
+  if (rules) this.add(rules)
+}
+
+Object.defineProperty(Blocklist.prototype, 'length', {
+  get: function () {
+    return this._ranges.length
+  }
+})
+
+/**
+ * Add rules to the blocklist.
+ * @param {Array.<string>|string} rules
+ */
+Blocklist.prototype.add = function (rules) {
+  if (typeof rules === 'string') rules = rules.split(/\r?\n/)
+  rules.forEach(function (rule) {
+    var range = parseRule(rule)
+    if (range) this._ranges.push(range)
+  }, this)
+  this._sort()
+  this.emit('update')
+}
+
+/**
+ * Replace all rules in the blocklist.
+ * @param {Array.<string>|string} rules
+ */
+Blocklist.prototype.set = function (rules) {
+  this._ranges = []
+  this.add(rules || [])
+}
+
+/**
+ * Remove all rules from the blocklist.
+ */
+Blocklist.prototype.clear = function () {
+  this.set([])
+}
+
+/**
+ * Find the rule that blocks `ip`, if any.
+ * @param  {string} ip
+ * @return {string} the matching rule, or null if the ip is not blocked
+ */
+Blocklist.prototype.match = function (ip) {
+  var ranges = this._ranges
+  if (ranges.length === 0) return null
+
+  var buf = peerAddr.toBuffer(ip)
+  if (!buf) return null
+
+  // Find the last range that starts at or before the ip
+  var lo = 0
+  var hi = ranges.length - 1
+  var i = -1
+  while (lo <= hi) {
+    var mid = (lo + hi) >>> 1
+    if (Buffer.compare(ranges[mid].start, buf) <= 0) {
+      i = mid
+      lo = mid + 1
+    } else {
+      hi = mid - 1
+    }
+  }
+
+  // Walk back through overlapping ranges until one covers the ip
+  for (; i >= 0 && Buffer.compare(this._maxEnd[i], buf) >= 0; i--) {
+    if (Buffer.compare(ranges[i].end, buf) >= 0) return ranges[i].rule
+  }
+  return null
+}
+
+Blocklist.prototype._sort = function () {
+  this._ranges.sort(function (a, b) {
+    return Buffer.compare(a.start, b.start)
+  })
+  var maxEnd = null
+  this._maxEnd = this._ranges.map(function (range) {
+    if (!maxEnd || Buffer.compare(range.end, maxEnd) > 0) maxEnd = range.end
+    return maxEnd
+  })
+}
+
+/**
+ * Parse a rule into a range of addresses.
+ * @param  {string} rule
+ * @return {Object} {start: Buffer, end: Buffer, rule: string}, or null
+ */
+function parseRule (rule) {
+  rule = rule.trim()
+  if (!rule || rule[0] === '#' || rule.indexOf('//') === 0) return null
+
+  var start, end
+  var slash = rule.indexOf('/')
+  var dash = rule.lastIndexOf('-')
+
+  // P2P descriptions can have slashes too, so only an ip makes a CIDR rule
+  if (slash !== -1 && net.isIP(rule.slice(0, slash))) {
+    var ip = rule.slice(0, slash)
+    var prefix = rule.slice(slash + 1)
+    var v4 = net.isIPv4(ip)
+    start = peerAddr.toBuffer(ip)
+    var bits = /^\d+$/.test(prefix) ? Number(prefix) : NaN
+    if (start && bits <= (v4 ? 32 : 128)) {
+      if (v4) bits += 96
+      end = new Buffer(start)
+      for (var i = 0; i < 16; i++) {
+        var keep = Math.max(0, Math.min(8, bits - i * 8))
+        var mask = (0xff << (8 - keep)) & 0xff
+        start[i] &= mask
+        end[i] |= ~mask & 0xff
+      }
+    }
+  } else if (dash !== -1) {
+    var from = rule.slice(0, dash).trim()
+    // P2P format: the description comes before the last colon of an IPv4 range
+    if (!net.isIP(from)) from = from.slice(from.lastIndexOf(':') + 1).trim()
+    start = peerAddr.toBuffer(from)
+    end = peerAddr.toBuffer(rule.slice(dash + 1).trim())
+  } else {
+    start = end = peerAddr.toBuffer(rule)
+  }
+
+  if (!start || !end || Buffer.compare(start, end) > 0) {
+    debug('ignoring invalid rule %s', rule)
+    return null
+  }
+  return { start: start, end: end, rule: rule }
+}
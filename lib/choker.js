@@ -0,0 +1,164 @@
+module.exports = Choker
+
+var debug = require('debug')('bittorrent-swarm:choker')
+
+var UPLOAD_SLOTS = 4
+var RECHOKE_INTERVAL = 10000
+var OPTIMISTIC_ROUNDS = 3 // rotate the optimistic unchoke every 3 rechokes
+
+/**
+ * Choker
+ * ======
+ * Decides which peers to upload to (tit-for-tat). Every `interval`, the
+ * interested peers are ranked by their recent transfer rate, and the best ones
+ * get an upload slot. One slot is an "optimistic unchoke", given to a random
+ * other peer and rotated every few rounds, so new peers get a chance to prove
+ * themselves.
+ *
+ * When leeching, peers are ranked by how fast they upload to us. When seeding,
+ * there's nothing to download, so peers are ranked by how fast we upload to
+ * them.
+ *
+ * Options:
+ *   slots     {number}    number of upload slots (default: 4)
+ *   interval  {number}    ms between rechokes (default: 10000)
+ *   seeding   {boolean}   are we seeding? (default: false)
+ *   rank      {function}  function (wire, seeding) returning a score for a
+ *                         peer; higher is better (default: transfer rate)
+ *
+ * @param {Object} opts
+ */
+function Choker (opts) {
+  if (!(this instanceof Choker)) return new Choker(opts)
+  if (!opts) opts = {}
+
+  this.slots = opts.slots || UPLOAD_SLOTS
+  this.interval = opts.interval || RECHOKE_INTERVAL
+  this.seeding = !!opts.seeding
+  this.rank = opts.rank || defaultRank
+
+  this.wires = []
+  this.optimistic = null // wire that has the optimistic unchoke
+
+  this._round = 0
+  this._onchange = this._update.bind(this)
+  this._timer = setInterval(this.rechoke.bind(this), this.interval)
+  if (this._timer.unref) this._timer.unref() // don't keep the process alive
+  this.destroyed = false
+}
+
+/**
+ * Start managing the choke state of a wire.
+ * @param {Wire} wire
+ */
+Choker.prototype.add = function (wire) {
+  if (this.destroyed) return
+  this.wires.push(wire)
+  wire.on('interested', this._onchange)
+  wire.on('uninterested', this._onchange)
+  this._update()
+}
+
+/**
+ * Stop managing a wire (ex: because it closed).
+ * @param {Wire} wire
+ */
+Choker.prototype.remove = function (wire) {
+  var index = this.wires.indexOf(wire)
+  if (index === -1) return
+  this.wires.splice(index, 1)
+  wire.removeListener('interested', this._onchange)
+  wire.removeListener('uninterested', this._onchange)
+  if (this.optimistic === wire) this.optimistic = null
+  this._update()
+}
+
+/**
+ * Rank peers and reassign the upload slots. Called every `interval`.
+ */
+Choker.prototype.rechoke = function () {
+  if (this.destroyed) return
+  this._round += 1
+  if (this._round % OPTIMISTIC_ROUNDS === 0) this.optimistic = null
+  this._choke()
+}
+
+/**
+ * Stop rechoking.
+ */
+Choker.prototype.destroy = function () {
+  if (this.destroyed) return
+  this.destroyed = true
+  clearInterval(this._timer)
+  this.wires.slice().forEach(this.remove, this)
+}
+
+/**
+ * Called when a peer joins, leaves or changes its interest. Fill up free slots
+ * right away with the best waiting peers, instead of waiting for the next
+ * rechoke. Nobody is choked here: that only happens in `rechoke`, so peers
+ * don't flip between choked and unchoked with every interest change.
+ */
+Choker.prototype._update = function () {
+  if (this.destroyed) return
+  var unchoked = 0
+  var waiting = []
+  this.wires.forEach(function (wire) {
+    if (!wire.peerInterested) return
+    if (wire.amChoking) waiting.push(wire)
+    else unchoked += 1
+  })
+  var free = this.slots - unchoked
+  if (free <= 0 || waiting.length === 0) return
+
+  var scores = waiting.map(function (wire) {
+    return this.rank(wire, this.seeding)
+  }, this)
+  waiting.map(function (wire, i) {
+    return i
+  }).sort(function (a, b) {
+    return scores[b] - scores[a]
+  }).slice(0, free).forEach(function (i) {
+    waiting[i].unchoke()
+  })
+  debug('update: unchoked %d waiting peers', Math.min(free, waiting.length))
+}
+
+Choker.prototype._choke = function () {
+  var interested = this.wires.filter(function (wire) {
+    return wire.peerInterested
+  })
+
+  var scores = interested.map(function (wire) {
+    return this.rank(wire, this.seeding)
+  }, this)
+  var ranked = interested.slice().sort(function (a, b) {
+    return scores[interested.indexOf(b)] - scores[interested.indexOf(a)]
+  })
+
+  // Regular slots go to the best peers
+  var regular = ranked.slice(0, Math.max(0, this.slots - 1))
+
+  // Keep the optimistic unchoke until it's rotated, unless the peer lost
+  // interest or earned a regular slot
+  var others = ranked.filter(function (wire) {
+    return regular.indexOf(wire) === -1
+  })
+  if (others.indexOf(this.optimistic) === -1) {
+    this.optimistic = others.length
+      ? others[Math.floor(Math.random() * others.length)]
+      : null
+  }
+
+  var unchoke = this.optimistic ? regular.concat(this.optimistic) : regular
+  debug('rechoke: %d interested, %d unchoked', interested.length, unchoke.length)
+
+  this.wires.forEach(function (wire) {
+    if (unchoke.indexOf(wire) === -1) wire.choke()
+    else wire.unchoke()
+  })
+}
+
+function defaultRank (wire, seeding) {
+  return seeding ? wire.uploadSpeed() : wire.downloadSpeed()
+}
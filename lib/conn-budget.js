@@ -0,0 +1,229 @@
+module.exports = ConnBudget
+
+/**
+ * ConnBudget
+ * ==========
+ * A limit on the total number of connections, and of half-open dials, shared by
+ * a group of swarms. Connections are shared fairly: each swarm is allowed a
+ * share of the budget in proportion to its `weight`, and the share that idle
+ * swarms don't need (because they don't have as many peers to connect to) is
+ * handed out to busy ones.
+ *
+ * Swarms report their dials and connections (`dialing`, `dialed`, `accepted`
+ * and `closed`), so the totals are kept up to date instead of being counted
+ * again at every check.
+ *
+ * @param {Object=} opts
+ *   maxConns     {number}  total connections (default: no limit)
+ *   maxHalfOpen  {number}  dials in progress (default: no limit)
+ */
+function ConnBudget (opts) {
+  if (!(this instanceof ConnBudget)) return new ConnBudget(opts)
+  this.maxConns = Infinity
+  this.maxHalfOpen = Infinity
+  this.swarms = []
+  this.conns = 0 // connections and dials in progress of all swarms
+  this.halfOpen = 0 // dials in progress of all swarms
+
+  this._counts = [] // {conns, halfOpen} of each swarm, in the order of `swarms`
+  this._shares = null // shares of all swarms, while draining
+  if (opts) this.setLimits(opts)
+}
+
+/**
+ * @param {Object} opts  {maxConns: number, maxHalfOpen: number}, 0 for no limit
+ */
+ConnBudget.prototype.setLimits = function (opts) {
+  if ('maxConns' in opts) this.maxConns = opts.maxConns || Infinity
+  if ('maxHalfOpen' in opts) this.maxHalfOpen = opts.maxHalfOpen || Infinity
+  this.drain()
+}
+
+ConnBudget.prototype.add = function (swarm) {
+  this.swarms.push(swarm)
+  this._counts.push({ conns: 0, halfOpen: 0 })
+}
+
+ConnBudget.prototype.remove = function (swarm) {
+  var index = this.swarms.indexOf(swarm)
+  if (index === -1) return
+  var counts = this._counts[index]
+  this.conns -= counts.conns
+  this.halfOpen -= counts.halfOpen
+  this.swarms.splice(index, 1)
+  this._counts.splice(index, 1)
+  this.drain()
+}
+
+/**
+ * `swarm` started dialing a peer. The dial counts as a connection until it
+ * fails.
+ * @param {Swarm} swarm
+ */
+ConnBudget.prototype.dialing = function (swarm) {
+  this._update(swarm, 1, 1)
+}
+
+/**
+ * `swarm` is done dialing a peer.
+ * @param {Swarm} swarm
+ * @param {boolean} connected  did the dial result in a connection? If so, call
+ *                             `closed` once it closes.
+ */
+ConnBudget.prototype.dialed = function (swarm, connected) {
+  this._update(swarm, connected ? 0 : -1, -1)
+}
+
+/**
+ * `swarm` accepted an incoming connection.
+ * @param {Swarm} swarm
+ */
+ConnBudget.prototype.accepted = function (swarm) {
+  this._update(swarm, 1, 0)
+}
+
+/**
+ * A connection of `swarm` closed.
+ * @param {Swarm} swarm
+ */
+ConnBudget.prototype.closed = function (swarm) {
+  this._update(swarm, -1, 0)
+}
+
+ConnBudget.prototype._update = function (swarm, conns, halfOpen) {
+  var index = this.swarms.indexOf(swarm)
+  if (index === -1) return // removed swarm
+  this._counts[index].conns += conns
+  this._counts[index].halfOpen += halfOpen
+  this.conns += conns
+  this.halfOpen += halfOpen
+}
+
+/**
+ * Is the budget limited at all?
+ * @return {boolean}
+ */
+ConnBudget.prototype.limited = function () {
+  return this.maxConns !== Infinity || this.maxHalfOpen !== Infinity
+}
+
+/**
+ * Can `swarm` dial another peer?
+ * @param  {Swarm} swarm
+ * @return {boolean}
+ */
+ConnBudget.prototype.canDial = function (swarm) {
+  if (!this.limited()) return true
+  if (this.halfOpen >= this.maxHalfOpen) return false
+  if (this.maxConns === Infinity) return true
+  return this.conns < this.maxConns && this._numConns(swarm) < this.share(swarm)
+}
+
+/**
+ * Can `swarm` accept an incoming connection?
+ * @param  {Swarm} swarm
+ * @return {boolean}
+ */
+ConnBudget.prototype.canAccept = function (swarm) {
+  if (this.maxConns === Infinity) return true
+  return this.conns < this.maxConns && this._numConns(swarm) < this.share(swarm, 1)
+}
+
+/**
+ * Number of connections `swarm` is allowed to have. Swarms that want fewer
+ * connections than their weighted share get what they want, and the rest is
+ * split between the other swarms by weight, until the budget is used up.
+ * @param  {Swarm} swarm
+ * @param  {number=} extra  connections `swarm` wants besides its queued peers
+ * @return {number}
+ */
+ConnBudget.prototype.share = function (swarm, extra) {
+  if (this.maxConns === Infinity) return Infinity
+  var shares = !extra && this._shares ? this._shares : this._computeShares(swarm, extra)
+  var index = this.swarms.indexOf(swarm)
+  return index === -1 ? shares[shares.length - 1] : shares[index]
+}
+
+/**
+ * Shares of all swarms, in the order of `this.swarms`. A swarm that isn't in
+ * the budget yet gets the last share.
+ * @param  {Swarm=} swarm  swarm that wants `extra` connections
+ * @param  {number=} extra
+ * @return {Array.<number>}
+ */
+ConnBudget.prototype._computeShares = function (swarm, extra) {
+  var swarms = this.swarms.slice()
+  if (swarm && swarms.indexOf(swarm) === -1) swarms.push(swarm)
+  var demands = swarms.map(function (s, i) {
+    var conns = i < this._counts.length ? this._counts[i].conns : 0
+    return wanted(s, conns) + (s === swarm ? extra || 0 : 0)
+  }, this)
+
+  var shares = []
+  var left = this.maxConns
+  var pending = swarms.map(function (s, i) { return i })
+
+  while (pending.length) {
+    var totalWeight = pending.reduce(function (sum, i) {
+      return sum + weight(swarms[i])
+    }, 0)
+
+    var satisfied = pending.filter(function (i) {
+      return demands[i] <= left * weight(swarms[i]) / totalWeight
+    })
+    if (satisfied.length === 0) {
+      pending.forEach(function (i) {
+        shares[i] = Math.floor(left * weight(swarms[i]) / totalWeight)
+      })
+      break
+    }
+
+    satisfied.forEach(function (i) {
+      shares[i] = demands[i]
+      left -= demands[i]
+    })
+    pending = pending.filter(function (i) {
+      return satisfied.indexOf(i) === -1
+    })
+  }
+  return shares
+}
+
+ConnBudget.prototype._numConns = function (swarm) {
+  var index = this.swarms.indexOf(swarm)
+  return index === -1 ? 0 : this._counts[index].conns
+}
+
+/**
+ * Let the swarms open connections, after some were closed or a limit changed.
+ * The shares are computed once for the whole drain.
+ * @param {Swarm=} swarm  swarm that freed a connection, drained first
+ */
+ConnBudget.prototype.drain = function (swarm) {
+  if (swarm) swarm._drain()
+  if (!this.limited()) return
+  this._shares = this.maxConns === Infinity ? null : this._computeShares()
+  try {
+    this.swarms.slice().forEach(function (s) {
+      if (s !== swarm) s._drain()
+    })
+  } finally {
+    this._shares = null
+  }
+}
+
+function weight (swarm) {
+  return swarm.weight || 1
+}
+
+/**
+ * Number of connections a swarm would open if it could.
+ * @param  {Swarm} swarm
+ * @param  {number} conns  its current connections
+ * @return {number}
+ */
+function wanted (swarm, conns) {
+  var n = conns
+  if (!swarm._paused && !swarm.destroyed) n += swarm._queue.length
+  return Math.min(n, swarm.maxConns)
+}
@@ -0,0 +1,211 @@
+module.exports = Lsd
+
+var crypto = require('crypto')
+var debug = require('debug')('bittorrent-swarm:lsd')
+var dgram = require('dgram')
+var peerAddr = require('./peer-addr')
+
+var LSD_HOST = '239.192.152.143'
+var LSD_PORT = 6771
+var ANNOUNCE_INTERVAL = 300000 // announce every swarm every 5 minutes
+var MIN_INTERVAL = 60000 // BEP 14: at most one announce per minute per torrent
+
+/**
+ * Lsd
+ * ===
+ * Local Service Discovery (BEP 14): find peers on the local network by
+ * multicasting `BT-SEARCH` announces with the infoHash and port of our swarms,
+ * and listening for the announces of other clients. Only IPv4 is supported.
+ *
+ * Options:
+ *   port      {number}  multicast port (default: 6771)
+ *   interval  {number}  ms between announces of a swarm, at least a minute
+ *                       (default: 300000)
+ *   createSocket {function}  returns the udp socket to use, like
+ *                            `dgram.createSocket` (ex: a fake one in tests)
+ *
+ * @param {Object=} opts
+ */
+function Lsd (opts) {
+  if (!(this instanceof Lsd)) return new Lsd(opts)
+  if (!opts) opts = {}
+
+  this.port = opts.port || LSD_PORT
+  this.interval = Math.max(opts.interval || ANNOUNCE_INTERVAL, MIN_INTERVAL)
+  this.cookie = crypto.randomBytes(8).toString('hex') // to ignore our own announces
+  this.swarms = []
+  this.destroyed = false
+
+  this._bound = false
+  this._lastAnnounce = {} // infoHash (hex) -> {time, port} of the last announce
+
+  var createSocket = opts.createSocket || dgram.createSocket
+  this._socket = createSocket({ type: 'udp4', reuseAddr: true })
+  this._socket.on('message', this._onmessage.bind(this))
+  this._socket.on('error', function (err) {
+    debug('socket error (%s)', err.message)
+  })
+  this._socket.bind(this.port, this._onbind.bind(this))
+
+  this._timer = setInterval(this._announceAll.bind(this), this.interval)
+}
+
+/**
+ * Announce a listening swarm, and pass it the peers that are announced for its
+ * infoHash.
+ * @param {Swarm} swarm
+ */
+Lsd.prototype.add = function (swarm) {
+  if (this.swarms.indexOf(swarm) === -1) this.swarms.push(swarm)
+  this.announce(swarm)
+}
+
+/**
+ * @param {Swarm} swarm
+ */
+Lsd.prototype.remove = function (swarm) {
+  var index = this.swarms.indexOf(swarm)
+  if (index !== -1) this.swarms.splice(index, 1)
+}
+
+/**
+ * Announce a swarm now, unless it was announced on the same port less than a
+ * minute ago.
+ * @param {Swarm} swarm
+ */
+Lsd.prototype.announce = function (swarm) {
+  if (!this._bound || this.destroyed || !this._due(swarm, Date.now())) return
+  this._send(swarm.port, [swarm.infoHashHex])
+}
+
+/**
+ * Stop announcing and listening.
+ * @param {function=} cb
+ */
+Lsd.prototype.destroy = function (cb) {
+  if (this.destroyed) return cb && process.nextTick(cb)
+  this.destroyed = true
+  clearInterval(this._timer)
+  this.swarms = []
+  this._socket.close(cb)
+}
+
+Lsd.prototype._onbind = function () {
+  if (this.destroyed) return
+  try {
+    this._socket.addMembership(LSD_HOST)
+    this._socket.setMulticastLoopback(true)
+  } catch (err) {
+    debug('cannot join multicast group (%s)', err.message)
+    return
+  }
+  this._bound = true
+  this._announceAll()
+}
+
+/**
+ * Announce every listening swarm that wasn't announced in the last minute. One
+ * announce carries the infoHashes of all swarms on the same port.
+ */
+Lsd.prototype._announceAll = function () {
+  if (!this._bound) return
+  var now = Date.now()
+  var byPort = {} // port -> infoHashes (hex)
+  this.swarms.forEach(function (swarm) {
+    if (!this._due(swarm, now)) return
+    if (!byPort[swarm.port]) byPort[swarm.port] = []
+    byPort[swarm.port].push(swarm.infoHashHex)
+  }, this)
+
+  for (var port in byPort) this._send(Number(port), byPort[port])
+}
+
+/**
+ * Can `swarm` be announced at time `now`?
+ * @param  {Swarm} swarm
+ * @param  {number} now
+ * @return {boolean}
+ */
+Lsd.prototype._due = function (swarm, now) {
+  if (!swarm.listening) return false
+  var last = this._lastAnnounce[swarm.infoHashHex]
+  return !last || last.port !== swarm.port || now - last.time >= MIN_INTERVAL
+}
+
+/**
+ * @param {number} port
+ * @param {Array.<string>} infoHashes  hex
+ */
+Lsd.prototype._send = function (port, infoHashes) {
+  var now = Date.now()
+  infoHashes.forEach(function (infoHash) {
+    this._lastAnnounce[infoHash] = { time: now, port: port }
+  }, this)
+
+  debug('announce port %d: %s', port, infoHashes.join(', '))
+  var msg = Lsd.encode(port, infoHashes, this.cookie)
+  this._socket.send(msg, 0, msg.length, this.port, LSD_HOST, function (err) {
+    if (err) debug('announce failed (%s)', err.message)
+  })
+}
+
+Lsd.prototype._onmessage = function (buf, rinfo) {
+  var msg = Lsd.decode(buf)
+  if (!msg || msg.cookie === this.cookie) return
+
+  var addr = peerAddr.format(rinfo.address, msg.port)
+  msg.infoHashes.forEach(function (infoHash) {
+    this.swarms.forEach(function (swarm) {
+      if (swarm.infoHashHex !== infoHash) return
+      debug('found %s for %s', addr, infoHash)
+      swarm.addPeer(addr, { source: 'lsd' })
+    })
+  }, this)
+}
+
+/**
+ * Encode an announce.
+ * @param  {number} port  port the swarms listen on
+ * @param  {Array.<string>} infoHashes  hex
+ * @param  {string} cookie
+ * @return {Buffer}
+ */
+Lsd.encode = function (port, infoHashes, cookie) {
+  return new Buffer(
+    'BT-SEARCH * HTTP/1.1\r\n' +
+    'Host: ' + LSD_HOST + ':' + LSD_PORT + '\r\n' +
+    'Port: ' + port + '\r\n' +
+    infoHashes.map(function (infoHash) {
+      return 'Infohash: ' + infoHash + '\r\n'
+    }).join('') +
+    'cookie: ' + cookie + '\r\n' +
+    '\r\n\r\n'
+  )
+}
+
+/**
+ * Decode an announce.
+ * @param  {Buffer} buf
+ * @return {Object} {port, infoHashes, cookie}, or null if `buf` isn't a valid
+ *                  announce
+ */
+Lsd.decode = function (buf) {
+  var lines = buf.toString().split('\r\n')
+  if (lines[0] !== 'BT-SEARCH * HTTP/1.1') return null
+
+  var msg = { port: 0, infoHashes: [], cookie: null }
+  lines.slice(1).forEach(function (line) {
+    var m = /^([^:]+):\s*(.*)$/.exec(line)
+    if (!m) return
+    var name = m[1].toLowerCase()
+    var value = m[2].trim()
+    if (name === 'port') msg.port = Number(value)
+    else if (name === 'cookie') msg.cookie = value
+    else if (name === 'infohash' && /^[0-9a-f]{40}$/i.test(value))
+      msg.infoHashes.push(value.toLowerCase())
+  })
+
+  if (!(msg.port > 0 && msg.port < 65536) || msg.infoHashes.length === 0)
+    return null
+  return msg
+}
@@ -0,0 +1,481 @@
+/**
+ * Message Stream Encryption (MSE/PE)
+ * ==================================
+ * The obfuscated handshake used by BitTorrent clients to encrypt (or just
+ * obfuscate) peer connections. A Diffie-Hellman key exchange is followed by a
+ * negotiation of the crypto method (RC4 or plaintext) to use for the rest of
+ * the connection. The infoHash of the torrent is the shared secret (SKEY).
+ *
+ * Spec: http://wiki.vuze.com/w/Message_Stream_Encryption
+ */
+
+var crypto = require('crypto')
+var debug = require('debug')('bittorrent-swarm:mse')
+var once = require('once')
+var stream = require('stream')
+
+var P = new Buffer(
+  'FFFFFFFFFFFFFFFFC90FDAA22168C234C4C6628B80DC1CD129024E088A67CC74' +
+  '020BBEA63B139B22514A08798E3404DDEF9519B3CD3A431B302B0A6DF25F1437' +
+  '4FE1356D6D51C245E485B576625E7EC6F44C42E9A63A36210000000000090563', 'hex')
+var G = new Buffer([2])
+
+var KEY_LENGTH = 96
+var MAX_PAD = 512
+var VC = new Buffer([0, 0, 0, 0, 0, 0, 0, 0])
+
+var CRYPTO_PLAINTEXT = 0x01
+var CRYPTO_RC4 = 0x02
+
+var PROTOCOL = new Buffer('\u0013BitTorrent protocol')
+
+function sha1 () {
+  var hash = crypto.createHash('sha1')
+  for (var i = 0; i < arguments.length; i++) {
+    hash.update(arguments[i])
+  }
+  return hash.digest()
+}
+
+function xor (a, b) {
+  var result = new Buffer(a.length)
+  for (var i = 0; i < a.length; i++) {
+    result[i] = a[i] ^ b[i]
+  }
+  return result
+}
+
+function randomPad () {
+  return crypto.randomBytes(Math.floor(Math.random() * (MAX_PAD + 1)))
+}
+
+function uint16 (n) {
+  var buf = new Buffer(2)
+  buf.writeUInt16BE(n, 0)
+  return buf
+}
+
+function uint32 (n) {
+  var buf = new Buffer(4)
+  buf.writeUInt32BE(n, 0)
+  return buf
+}
+
+/**
+ * Create a Diffie-Hellman key pair with the MSE prime and generator.
+ * @return {DiffieHellman}
+ */
+function createKeys () {
+  var dh = crypto.createDiffieHellman(P, G)
+  dh.generateKeys()
+  return dh
+}
+
+/**
+ * Left-pad a key or secret to the length of the prime.
+ * @param  {Buffer} key
+ * @return {Buffer}
+ */
+function padKey (key) {
+  if (key.length === KEY_LENGTH) return key
+  var padded = new Buffer(KEY_LENGTH)
+  padded.fill(0)
+  key.copy(padded, KEY_LENGTH - key.length)
+  return padded
+}
+
+/**
+ * RC4
+ * ===
+ * RC4 keystream, with the first 1024 bytes discarded as the spec requires.
+ * Node may be built without RC4 support, so it's implemented here.
+ *
+ * @param {Buffer} key
+ */
+function RC4 (key) {
+  var s = this.s = new Array(256)
+  var i, j, tmp
+  for (i = 0; i < 256; i++) s[i] = i
+  for (i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 0xff
+    tmp = s[i]
+    s[i] = s[j]
+    s[j] = tmp
+  }
+  this.i = 0
+  this.j = 0
+
+  var discard = new Buffer(1024)
+  discard.fill(0)
+  this.update(discard)
+}
+
+/**
+ * Encrypt or decrypt `data` (RC4 is symmetric).
+ * @param  {Buffer} data
+ * @return {Buffer}
+ */
+RC4.prototype.update = function (data) {
+  var s = this.s
+  var i = this.i
+  var j = this.j
+  var tmp
+  var result = new Buffer(data.length)
+  for (var k = 0; k < data.length; k++) {
+    i = (i + 1) & 0xff
+    j = (j + s[i]) & 0xff
+    tmp = s[i]
+    s[i] = s[j]
+    s[j] = tmp
+    result[k] = data[k] ^ s[(s[i] + s[j]) & 0xff]
+  }
+  this.i = i
+  this.j = j
+  return result
+}
+
+/**
+ * Transform stream that runs data through an RC4 keystream.
+ * @param  {RC4} rc4
+ * @return {stream.Transform}
+ */
+function createCipherStream (rc4) {
+  var transform = new stream.Transform()
+  transform._transform = function (chunk, enc, cb) {
+    cb(null, rc4.update(chunk))
+  }
+  return transform
+}
+
+/**
+ * Buffers incoming data on `conn` until the handshake is done. `step` is
+ * called whenever there is new data, and is expected to consume what it can.
+ * Once `done` is called, the reader stops listening and pauses `conn`, so the
+ * remaining bytes can be handed over along with the connection.
+ *
+ * @param {Socket} conn
+ * @param {function} step
+ * @param {function} cb
+ */
+function Reader (conn, step, cb) {
+  this.conn = conn
+  this.buffer = new Buffer(0)
+  this.step = step
+  this.finished = false
+
+  this._ondata = this._ondata.bind(this)
+  this._onclose = this._onclose.bind(this)
+  this.cb = once(cb)
+
+  conn.on('data', this._ondata)
+  conn.on('end', this._onclose)
+  conn.on('error', this._onclose)
+  conn.on('close', this._onclose)
+}
+
+Reader.prototype._ondata = function (data) {
+  this.buffer = Buffer.concat([this.buffer, data])
+  this._run()
+}
+
+Reader.prototype._onclose = function () {
+  this.fail(new Error('connection closed during encryption handshake'))
+}
+
+Reader.prototype._run = function () {
+  if (this.finished) return
+  try {
+    this.step()
+  } catch (err) {
+    return this.fail(err)
+  }
+  // Call back outside of the try block, so errors thrown by the callback
+  // aren't mistaken for handshake errors.
+  if (this.result) this.cb(null, this.result)
+}
+
+/**
+ * Consume and return `n` bytes from the buffer, or null if there aren't enough.
+ * @param  {number} n
+ * @return {Buffer}
+ */
+Reader.prototype.read = function (n) {
+  if (this.buffer.length < n) return null
+  var data = this.buffer.slice(0, n)
+  this.buffer = this.buffer.slice(n)
+  return data
+}
+
+/**
+ * Search the buffer for `pattern`, and consume everything up to and including
+ * it. Fails if the pattern isn't found within `maxOffset` bytes.
+ * @param  {Buffer} pattern
+ * @param  {number} maxOffset
+ * @return {boolean} was the pattern found?
+ */
+Reader.prototype.sync = function (pattern, maxOffset) {
+  var buf = this.buffer
+  var limit = Math.min(buf.length - pattern.length, maxOffset)
+  for (var i = 0; i <= limit; i++) {
+    if (buf[i] !== pattern[0]) continue
+    if (buf.slice(i, i + pattern.length).equals(pattern)) {
+      this.buffer = buf.slice(i + pattern.length)
+      return true
+    }
+  }
+  if (buf.length - pattern.length >= maxOffset)
+    throw new Error('could not find sync point in encryption handshake')
+  return false
+}
+
+Reader.prototype._stop = function () {
+  this.finished = true
+  this.conn.removeListener('data', this._ondata)
+  this.conn.removeListener('end', this._onclose)
+  this.conn.removeListener('error', this._onclose)
+  this.conn.removeListener('close', this._onclose)
+  this.conn.pause()
+}
+
+Reader.prototype.fail = function (err) {
+  if (this.finished) return
+  this._stop()
+  this.cb(err)
+}
+
+Reader.prototype.done = function (result) {
+  if (this.finished) return
+  this._stop()
+  this.result = result
+}
+
+/**
+ * Start the encryption handshake on an outgoing connection.
+ *
+ * Calls `cb(err, result)`, where `result` is an object with:
+ *   encrypted  {boolean}  was RC4 selected for the rest of the connection?
+ *   head       {Buffer}   payload bytes that were already read from `conn`
+ *   cipher     {RC4}      keystream for outgoing data
+ *   decipher   {RC4}      keystream for incoming data
+ *
+ * @param  {Socket} conn
+ * @param  {Buffer} infoHash
+ * @param  {string} mode  'prefer' or 'require'
+ * @param  {function} cb
+ */
+exports.initiate = function (conn, infoHash, mode, cb) {
+  var dh = createKeys()
+  var cipher, decipher, secret, encryptedVC, selected, padLength
+  var state = 'key'
+
+  conn.write(Buffer.concat([padKey(dh.getPublicKey()), randomPad()]))
+
+  var reader = new Reader(conn, function step () {
+    if (state === 'key') {
+      var remoteKey = reader.read(KEY_LENGTH)
+      if (!remoteKey) return
+      secret = padKey(dh.computeSecret(remoteKey))
+
+      cipher = new RC4(sha1('keyA', secret, infoHash))
+      decipher = new RC4(sha1('keyB', secret, infoHash))
+      encryptedVC = new RC4(sha1('keyB', secret, infoHash)).update(VC)
+
+      var provide = mode === 'require'
+        ? CRYPTO_RC4
+        : CRYPTO_RC4 | CRYPTO_PLAINTEXT
+
+      conn.write(Buffer.concat([
+        sha1('req1', secret),
+        xor(sha1('req2', infoHash), sha1('req3', secret)),
+        cipher.update(Buffer.concat([VC, uint32(provide), uint16(0), uint16(0)]))
+      ]))
+      state = 'vc'
+    }
+
+    if (state === 'vc') {
+      if (!reader.sync(encryptedVC, MAX_PAD)) return
+      decipher.update(VC)
+      state = 'select'
+    }
+
+    if (state === 'select') {
+      var select = reader.read(6)
+      if (!select) return
+      select = decipher.update(select)
+      selected = select.readUInt32BE(0)
+      padLength = select.readUInt16BE(4)
+      if (padLength > MAX_PAD) throw new Error('invalid padding length')
+      if (selected !== CRYPTO_RC4 &&
+          (selected !== CRYPTO_PLAINTEXT || mode === 'require'))
+        throw new Error('peer selected unsupported crypto method ' + selected)
+      state = 'pad'
+    }
+
+    if (state === 'pad') {
+      var pad = reader.read(padLength)
+      if (!pad) return
+      decipher.update(pad)
+
+      var encrypted = selected === CRYPTO_RC4
+      debug('initiate done (encrypted %s)', encrypted)
+      reader.done({
+        encrypted: encrypted,
+        head: reader.buffer,
+        cipher: cipher,
+        decipher: decipher
+      })
+    }
+  }, cb)
+}
+
+/**
+ * Accept an incoming connection that may or may not be encrypted. If the peer
+ * starts with a plaintext BitTorrent handshake, no encryption is used.
+ * Otherwise, the encryption handshake is done as the receiving side.
+ *
+ * `lookup(hash)` is called to find the torrent the peer is interested in, with
+ * `hash` being HASH('req2', SKEY). It should return an object with the
+ * matching `skey` (infoHash), and the `mode` ('prefer' or 'require') to use
+ * for it, or null if there is no such torrent.
+ *
+ * Calls `cb(err, result)` with an object like `exports.initiate`, plus:
+ *   obfuscated {boolean}  was the encryption handshake used?
+ *   skey       {Buffer}   the infoHash the encryption handshake was for
+ *
+ * @param  {Socket} conn
+ * @param  {function} lookup
+ * @param  {function} cb
+ */
+exports.accept = function (conn, lookup, cb) {
+  var dh, secret, cipher, decipher, target, provided, padLength, iaLength
+  var state = 'detect'
+
+  var reader = new Reader(conn, function step () {
+    if (state === 'detect') {
+      var buf = reader.buffer
+      var n = Math.min(buf.length, PROTOCOL.length)
+      if (n === 0) return
+      if (!buf.slice(0, n).equals(PROTOCOL.slice(0, n))) {
+        state = 'key'
+      } else if (n === PROTOCOL.length) {
+        return reader.done({
+          encrypted: false,
+          obfuscated: false,
+          head: reader.buffer
+        })
+      } else {
+        return
+      }
+    }
+
+    if (state === 'key') {
+      var remoteKey = reader.read(KEY_LENGTH)
+      if (!remoteKey) return
+      dh = createKeys()
+      secret = padKey(dh.computeSecret(remoteKey))
+      conn.write(Buffer.concat([padKey(dh.getPublicKey()), randomPad()]))
+      state = 'req1'
+    }
+
+    if (state === 'req1') {
+      if (!reader.sync(sha1('req1', secret), MAX_PAD)) return
+      state = 'skey'
+    }
+
+    if (state === 'skey') {
+      var hash = reader.read(20)
+      if (!hash) return
+      target = lookup(xor(hash, sha1('req3', secret)))
+      if (!target) throw new Error('encryption handshake for unknown infoHash')
+      decipher = new RC4(sha1('keyA', secret, target.skey))
+      cipher = new RC4(sha1('keyB', secret, target.skey))
+      state = 'provide'
+    }
+
+    if (state === 'provide') {
+      var provide = reader.read(14)
+      if (!provide) return
+      provide = decipher.update(provide)
+      if (!provide.slice(0, 8).equals(VC)) throw new Error('invalid verification constant')
+      provided = provide.readUInt32BE(8)
+      padLength = provide.readUInt16BE(12)
+      if (padLength > MAX_PAD) throw new Error('invalid padding length')
+      state = 'pad'
+    }
+
+    if (state === 'pad') {
+      var pad = reader.read(padLength + 2)
+      if (!pad) return
+      iaLength = decipher.update(pad).readUInt16BE(padLength)
+      state = 'ia'
+    }
+
+    if (state === 'ia') {
+      var ia = reader.read(iaLength)
+      if (!ia) return
+
+      var select
+      if (provided & CRYPTO_RC4) select = CRYPTO_RC4
+      else if (provided & CRYPTO_PLAINTEXT && target.mode !== 'require')
+        select = CRYPTO_PLAINTEXT
+      else throw new Error('peer does not support required crypto method')
+
+      conn.write(cipher.update(Buffer.concat([VC, uint32(select), uint16(0)])))
+
+      // The initial payload is always encrypted, even if plaintext was selected
+      // for the rest of the connection.
+      var encrypted = select === CRYPTO_RC4
+      debug('accept done (encrypted %s)', encrypted)
+      reader.done({
+        encrypted: encrypted,
+        obfuscated: true,
+        skey: target.skey,
+        head: Buffer.concat([encrypted ? ia : decipher.update(ia), reader.buffer]),
+        cipher: cipher,
+        decipher: decipher
+      })
+    }
+  }, cb)
+}
+
+/**
+ * Hash that identifies the torrent in the encryption handshake (for `lookup`).
+ * @param  {Buffer} infoHash
+ * @return {Buffer}
+ */
+exports.skeyHash = function (infoHash) {
+  return sha1('req2', infoHash)
+}
+
+/**
+ * Pipe `conn` and `wire` together, through the negotiated ciphers, once the
+ * handshake is done. `result` is the result of `initiate` or `accept`.
+ * Optionally, `streams.download` and `streams.upload` are extra streams to
+ * pipe the plaintext through (ex: for throttling).
+ * @param  {Socket} conn
+ * @param  {Wire} wire
+ * @param  {Object} result
+ * @param  {Object=} streams
+ */
+exports.pipe = function (conn, wire, result, streams) {
+  if (!streams) streams = {}
+  var decipher = result.encrypted && createCipherStream(result.decipher)
+  var cipher = result.encrypted && createCipherStream(result.cipher)
+
+  pipeAll([wire, streams.upload, cipher, conn])
+
+  // Let the wire start flowing to `conn` before it gets any data, so that
+  // messages sent in response to the first ones are written out right away.
+  process.nextTick(function () {
+    if (result.head.length) conn.unshift(result.head)
+    pipeAll([conn, decipher, streams.download, wire])
+  })
+}
+
+function pipeAll (streams) {
+  streams.filter(Boolean).reduce(function (src, dest) {
+    return src.pipe(dest)
+  })
+}
+
+exports.RC4 = RC4
@@ -0,0 +1,163 @@
+/**
+ * Peer addresses
+ * ==============
+ * Peers are identified by "ip:port" strings. IPv6 addresses are written in
+ * brackets ("[ip]:port"), so the port can be told apart from the address.
+ */
+
+var net = require('net')
+var os = require('os')
+
+var ADDR_RE = /^\[([^\]]+)\]:(\d+)$|^([^:\[\]]+):(\d+)$/
+
+/**
+ * Parse an "ip:port" or "[ip]:port" string.
+ * @param  {string} addr
+ * @return {Array} [ip, port], or null if `addr` is not a valid address
+ */
+exports.parse = function (addr) {
+  var m = ADDR_RE.exec(addr)
+  if (!m) return null
+  var ip = m[1] || m[3]
+  if (m[1] && !net.isIPv6(ip)) return null
+  return [ip, Number(m[2] || m[4])]
+}
+
+/**
+ * Format an ip and port as an address string. IPv4-mapped IPv6 addresses (as
+ * reported by servers listening on both IPv4 and IPv6) are written as IPv4.
+ * @param  {string} ip
+ * @param  {number} port
+ * @return {string}
+ */
+exports.format = function (ip, port) {
+  ip = exports.normalize(ip)
+  return net.isIPv6(ip)
+    ? '[' + ip + ']:' + port
+    : ip + ':' + port
+}
+
+/**
+ * Turn an IPv4-mapped IPv6 address (ex: ::ffff:127.0.0.1) into plain IPv4.
+ * @param  {string} ip
+ * @return {string}
+ */
+exports.normalize = function (ip) {
+  var m = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip)
+  return m ? m[1] : ip
+}
+
+/**
+ * Is `ip` one of this machine's own addresses? Covers loopback, unspecified
+ * and the addresses of all local interfaces.
+ * @param  {string} ip
+ * @return {boolean}
+ */
+exports.isLocal = function (ip) {
+  ip = exports.normalize(ip).toLowerCase()
+  if (/^127\./.test(ip) || ip === '::1' || ip === '0.0.0.0' || ip === '::')
+    return true
+
+  var interfaces = os.networkInterfaces()
+  for (var name in interfaces) {
+    var found = interfaces[name].some(function (iface) {
+      return iface.address.toLowerCase() === ip
+    })
+    if (found) return true
+  }
+  return false
+}
+
+/**
+ * Convert an ip address to a 16 byte buffer, with IPv4 addresses mapped into
+ * IPv6 (::ffff:a.b.c.d), so all addresses can be compared.
+ * @param  {string} ip
+ * @return {Buffer} or null if `ip` is not an ip address
+ */
+exports.toBuffer = function (ip) {
+  var buf = new Buffer(16)
+  buf.fill(0)
+
+  if (net.isIPv4(ip)) {
+    buf[10] = buf[11] = 0xff
+    ip.split('.').forEach(function (n, i) { buf[12 + i] = Number(n) })
+    return buf
+  }
+  if (!net.isIPv6(ip)) return null
+
+  // Embedded IPv4 address at the end (ex: ::ffff:1.2.3.4)
+  var m = /^(.*:)(\d+\.\d+\.\d+\.\d+)$/.exec(ip)
+  if (m) {
+    var v4 = exports.toBuffer(m[2])
+    ip = m[1] + v4.readUInt16BE(12).toString(16) + ':' + v4.readUInt16BE(14).toString(16)
+  }
+
+  var halves = ip.split('::')
+  var head = halves[0] ? halves[0].split(':') : []
+  var tail = halves.length > 1 && halves[1] ? halves[1].split(':') : []
+  head.forEach(function (group, i) {
+    buf.writeUInt16BE(parseInt(group, 16), i * 2)
+  })
+  tail.forEach(function (group, i) {
+    buf.writeUInt16BE(parseInt(group, 16), 16 - (tail.length - i) * 2)
+  })
+  return buf
+}
+
+/**
+ * Encode an address in compact form: the ip (4 bytes for IPv4, 16 for IPv6)
+ * followed by the port (2 bytes, big endian).
+ * @param  {string} addr
+ * @return {Buffer} or null if `addr` is invalid
+ */
+exports.toCompact = function (addr) {
+  var parts = exports.parse(addr)
+  if (!parts) return null
+  var ip = exports.normalize(parts[0])
+  var buf = exports.toBuffer(ip)
+  if (net.isIPv4(ip)) buf = buf.slice(12)
+
+  var port = new Buffer(2)
+  port.writeUInt16BE(parts[1], 0)
+  return Buffer.concat([buf, port])
+}
+
+/**
+ * Decode an address in compact form (6 bytes for IPv4, 18 for IPv6).
+ * @param  {Buffer} buf
+ * @return {string} or null if `buf` has the wrong length
+ */
+exports.fromCompact = function (buf) {
+  if (buf.length !== 6 && buf.length !== 18) return null
+  var port = buf.readUInt16BE(buf.length - 2)
+  var ip = buf.length === 6
+    ? Array.prototype.slice.call(buf, 0, 4).join('.')
+    : formatIPv6(buf.slice(0, 16))
+  return exports.format(ip, port)
+}
+
+/**
+ * Format an IPv6 address like RFC 5952 (and node) does: the longest run of two
+ * or more zero groups (the first one, on ties) is shortened to '::'.
+ * @param  {Buffer} buf  16 bytes
+ * @return {string}
+ */
+function formatIPv6 (buf) {
+  var groups = []
+  for (var i = 0; i < 16; i += 2) groups.push(buf.readUInt16BE(i).toString(16))
+
+  var best = -1
+  var bestLength = 1
+  for (i = 0; i < 8; i++) {
+    var length = 0
+    while (i + length < 8 && groups[i + length] === '0') length += 1
+    if (length > bestLength) {
+      best = i
+      bestLength = length
+    }
+    i += length
+  }
+  if (best === -1) return groups.join(':')
+  return groups.slice(0, best).join(':') + '::' +
+    groups.slice(best + bestLength).join(':')
+}
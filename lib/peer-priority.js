@@ -0,0 +1,88 @@
+/**
+ * Canonical peer priority (BEP 40)
+ * ================================
+ * Both ends of a connection compute the same priority for it, so when every
+ * client prefers high priority peers, the swarm converges on a well connected
+ * mesh instead of everyone dialing the same few peers.
+ *
+ * The priority is the CRC32-C of both ip addresses, masked so that peers in
+ * other networks are told apart by their high bits only, and sorted. When the
+ * ips are equal, the ports are used instead.
+ */
+
+module.exports = peerPriority
+
+var net = require('net')
+var peerAddr = require('./peer-addr')
+
+var CRC_TABLE = (function () {
+  var table = []
+  for (var n = 0; n < 256; n++) {
+    var c = n
+    for (var k = 0; k < 8; k++) c = c & 1 ? (c >>> 1) ^ 0x82f63b78 : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+/**
+ * Priority of the connection between two peers.
+ * @param  {string} addr1  ip address and port (ex: 12.34.56.78:12345)
+ * @param  {string} addr2
+ * @return {number} 32 bit priority (higher is better), or 0 if the addresses
+ *                  are invalid or of different families
+ */
+function peerPriority (addr1, addr2) {
+  var a = peerAddr.parse(addr1)
+  var b = peerAddr.parse(addr2)
+  if (!a || !b) return 0
+
+  var ip1 = peerAddr.normalize(a[0])
+  var ip2 = peerAddr.normalize(b[0])
+  var v4 = net.isIPv4(ip1)
+  if (v4 !== net.isIPv4(ip2)) return 0
+
+  var buf1 = peerAddr.toBuffer(ip1)
+  var buf2 = peerAddr.toBuffer(ip2)
+  if (v4) {
+    buf1 = buf1.slice(12)
+    buf2 = buf2.slice(12)
+  }
+
+  if (Buffer.compare(buf1, buf2) === 0) {
+    var ports = new Buffer(4)
+    ports.writeUInt16BE(Math.min(a[1], b[1]), 0)
+    ports.writeUInt16BE(Math.max(a[1], b[1]), 2)
+    return crc32c(ports)
+  }
+
+  // The more leading bytes the ips share, the more bytes are compared fully
+  // (ex: for IPv4, 2 bytes, or 3 in the same /16, or 4 in the same /24)
+  var base = v4 ? 2 : 6
+  var common = 0
+  while (common < buf1.length && buf1[common] === buf2[common]) common += 1
+  var full = base + (common >= base) + (common >= base + 1)
+
+  var masked = [buf1, buf2].map(function (buf) {
+    var out = new Buffer(buf.length)
+    for (var i = 0; i < buf.length; i++) out[i] = i < full ? buf[i] : buf[i] & 0x55
+    return out
+  }).sort(Buffer.compare)
+
+  return crc32c(Buffer.concat(masked))
+}
+
+peerPriority.crc32c = crc32c
+
+/**
+ * CRC32-C (Castagnoli) checksum.
+ * @param  {Buffer} buf
+ * @return {number}
+ */
+function crc32c (buf) {
+  var crc = 0xffffffff
+  for (var i = 0; i < buf.length; i++) {
+    crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
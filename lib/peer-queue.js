@@ -0,0 +1,128 @@
+module.exports = PeerQueue
+
+var peerAddr = require('./peer-addr')
+var peerPriority = require('./peer-priority')
+
+// How much a peer's source counts in the default score. Peers the user added
+// by hand are the most likely to be wanted, peers from gossip the least.
+var SOURCE_SCORE = {
+  manual: 3,
+  lsd: 2,
+  tracker: 1,
+  dht: 1,
+  pex: 0
+}
+
+var MAX_SUCCESS_SCORE = 3
+
+/**
+ * PeerQueue
+ * =========
+ * Peers waiting to be dialed, ordered by score (highest first). Peers with the
+ * same score are dialed in the order they were queued. A peer's score is
+ * computed when it's queued, so it reflects the peer's history at that time.
+ *
+ * @param {function} score  function (peer) returning a number; higher is better
+ */
+function PeerQueue (score) {
+  if (!(this instanceof PeerQueue)) return new PeerQueue(score)
+  this.score = score || function () { return 0 }
+  this._items = [] // {peer, score}, sorted by score
+}
+
+Object.defineProperty(PeerQueue.prototype, 'length', {
+  get: function () {
+    return this._items.length
+  }
+})
+
+/**
+ * Queue a peer. Peers that are already queued are moved to their new place.
+ * @param {Peer} peer
+ */
+PeerQueue.prototype.push = function (peer) {
+  this.remove(peer)
+  var score = this.score(peer)
+
+  // Insert after every peer with a higher or equal score
+  var lo = 0
+  var hi = this._items.length
+  while (lo < hi) {
+    var mid = (lo + hi) >>> 1
+    if (this._items[mid].score >= score) lo = mid + 1
+    else hi = mid
+  }
+  this._items.splice(lo, 0, { peer: peer, score: score })
+}
+
+/**
+ * Take the best peer off the queue.
+ * @return {Peer} or undefined if the queue is empty
+ */
+PeerQueue.prototype.shift = function () {
+  var item = this._items.shift()
+  return item && item.peer
+}
+
+/**
+ * Remove a peer from the queue.
+ * @param  {Peer} peer
+ * @return {boolean} was the peer queued?
+ */
+PeerQueue.prototype.remove = function (peer) {
+  for (var i = 0; i < this._items.length; i++) {
+    if (this._items[i].peer === peer) {
+      this._items.splice(i, 1)
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Is `peer` in the queue?
+ * @param  {Peer} peer
+ * @return {boolean}
+ */
+PeerQueue.prototype.has = function (peer) {
+  return this._items.some(function (item) {
+    return item.peer === peer
+  })
+}
+
+/**
+ * Queued peers, best first.
+ * @return {Array.<Peer>}
+ */
+PeerQueue.prototype.toArray = function () {
+  return this._items.map(function (item) {
+    return item.peer
+  })
+}
+
+/**
+ * Default score of a peer, combining:
+ *
+ *   - the priority hint given to `addPeer` (ex: 10 to dial a peer before any
+ *     other)
+ *   - where the peer came from (see `SOURCE_SCORE`)
+ *   - its history: a point for every successful connection (up to 3), minus a
+ *     point for every failed one
+ *   - as a tie-breaker, its BEP 40 canonical priority, when our own public
+ *     ip is known (`swarm.externalIp`)
+ *
+ * @param  {Peer} peer
+ * @param  {Swarm} swarm
+ * @return {number}
+ */
+PeerQueue.defaultScore = function (peer, swarm) {
+  var score = peer.priority || 0
+  score += SOURCE_SCORE[peer.source] || 0
+  score += Math.min(peer.successes, MAX_SUCCESS_SCORE) - peer.failures
+  if (swarm && swarm.externalIp) {
+    // scale to [0, 1) so it only orders peers that are otherwise equal
+    var self = peerAddr.format(swarm.externalIp, swarm.port)
+    score += peerPriority(self, peer.addr) / 0x100000000
+  }
+  return score
+}
@@ -0,0 +1,86 @@
+/**
+ * Reconnect policies
+ * ==================
+ * A policy decides how long to wait for a peer's handshake, and how long to
+ * wait before dialing a peer again after a connection failed or was lost. A
+ * policy is an object with:
+ *
+ *   handshakeTimeout  {number}    ms to wait for a peer's handshake
+ *   retryDelay        {function}  function (peer, reason, retries) returning the
+ *                                 ms to wait before dialing the peer again, or
+ *                                 null to give up on it. `retries` is the number
+ *                                 of retries since the peer last handshook.
+ */
+
+var HANDSHAKE_TIMEOUT = 25000
+var RECONNECT_WAIT = [1000, 5000, 15000, 30000, 60000, 120000, 300000, 600000]
+
+/**
+ * Retry after each of the given delays in turn, then give up.
+ * @param  {Array.<number>} waits  ms to wait before each retry
+ * @param  {Object=} opts  {handshakeTimeout: number}
+ * @return {Object} policy
+ */
+exports.schedule = function (waits, opts) {
+  if (!opts) opts = {}
+  return {
+    handshakeTimeout: opts.handshakeTimeout || HANDSHAKE_TIMEOUT,
+    retryDelay: function (peer, reason, retries) {
+      return retries < waits.length ? waits[retries] : null
+    }
+  }
+}
+
+/**
+ * Exponential backoff with jitter, so peers that failed together don't all get
+ * dialed again at the same time.
+ *
+ * Options:
+ *   initial    {number}  ms to wait before the first retry (default: 1000)
+ *   max        {number}  max ms to wait between retries (default: 600000)
+ *   factor     {number}  growth of the wait after each retry (default: 2)
+ *   jitter     {number}  randomize waits by up to this fraction (default: 0.2)
+ *   retries    {number}  give up after this many retries (default: 10)
+ *   handshakeTimeout {number}  (default: 25000)
+ *
+ * @param  {Object=} opts
+ * @return {Object} policy
+ */
+exports.exponential = function (opts) {
+  if (!opts) opts = {}
+  var initial = opts.initial || 1000
+  var max = opts.max || 600000
+  var factor = opts.factor || 2
+  var jitter = opts.jitter === undefined ? 0.2 : opts.jitter
+  var maxRetries = opts.retries === undefined ? 10 : opts.retries
+
+  return {
+    handshakeTimeout: opts.handshakeTimeout || HANDSHAKE_TIMEOUT,
+    retryDelay: function (peer, reason, retries) {
+      if (retries >= maxRetries) return null
+      var wait = Math.min(max, initial * Math.pow(factor, retries))
+      wait *= 1 + jitter * (Math.random() * 2 - 1)
+      return Math.round(Math.min(max, wait))
+    }
+  }
+}
+
+/**
+ * Exponential backoff with jitter that never gives up on a peer. Takes the same
+ * options as `exponential`, except `retries`.
+ * @param  {Object=} opts
+ * @return {Object} policy
+ */
+exports.forever = function (opts) {
+  var expOpts = { retries: Infinity }
+  for (var key in opts) {
+    if (key !== 'retries') expOpts[key] = opts[key]
+  }
+  return exports.exponential(expOpts)
+}
+
+/**
+ * The default policy: wait 25 seconds for handshakes, and retry after 1s, 5s,
+ * 15s, 30s, 1m, 2m, 5m and 10m before giving up.
+ */
+exports.DEFAULT = exports.schedule(RECONNECT_WAIT)
@@ -0,0 +1,179 @@
+/**
+ * Throttling
+ * ==========
+ * A `Throttle` is a token bucket that limits a group of streams to a number of
+ * bytes per second. A `ThrottleStream` is a pass-through stream that waits for
+ * tokens from one or more throttles (ex: one for the swarm and one for the
+ * whole process) before letting data through.
+ *
+ * Streams ask for tokens in slices of at most `SLICE_SIZE` bytes, and waiting
+ * requests are served in order, so the bandwidth is shared fairly between all
+ * the streams of a throttle.
+ */
+
+var stream = require('stream')
+var inherits = require('inherits')
+
+var SLICE_SIZE = 16384
+var MIN_GRANT_MS = 50 // wait until there are at least 50ms worth of tokens
+
+exports.Throttle = Throttle
+exports.ThrottleStream = ThrottleStream
+
+/**
+ * Throttle
+ * ========
+ * @param {number=} rate  bytes per second (0 or undefined for no limit)
+ */
+function Throttle (rate) {
+  this.rate = rate || 0
+  this.paused = false // while paused, no tokens are granted at all
+  this.tokens = this.rate // allow a burst of up to one second
+  this._last = Date.now()
+  this._queue = [] // waiting requests
+  this._timer = null
+}
+
+/**
+ * Change the rate limit. Takes effect immediately, also for waiting requests.
+ * @param {number} rate  bytes per second (0 for no limit)
+ */
+Throttle.prototype.setRate = function (rate) {
+  this._refill()
+  this.rate = rate || 0
+  this.tokens = Math.min(this.tokens, this.rate)
+  this._process()
+}
+
+/**
+ * Stop granting tokens until `resume` is called.
+ */
+Throttle.prototype.pause = function () {
+  this.paused = true
+}
+
+Throttle.prototype.resume = function () {
+  this.paused = false
+  this._process()
+}
+
+/**
+ * Ask for up to `n` bytes worth of tokens. Calls `cb(granted)` once some are
+ * available, with 0 < granted <= n.
+ * @param {number} n
+ * @param {function} cb
+ */
+Throttle.prototype.request = function (n, cb) {
+  if (!this.rate && !this.paused && this._queue.length === 0) return cb(n)
+  this._queue.push({ n: n, cb: cb })
+  this._process()
+}
+
+/**
+ * Return tokens that were granted but not used.
+ * @param {number} n
+ */
+Throttle.prototype.giveBack = function (n) {
+  if (!this.rate) return
+  this.tokens = Math.min(this.rate, this.tokens + n)
+  this._process()
+}
+
+Throttle.prototype._refill = function () {
+  var now = Date.now()
+  this.tokens = Math.min(this.rate, this.tokens + (now - this._last) * this.rate / 1000)
+  this._last = now
+}
+
+Throttle.prototype._process = function () {
+  clearTimeout(this._timer)
+  this._timer = null
+  this._refill()
+
+  var granted = []
+  while (this._queue.length && !this.paused) {
+    var req = this._queue[0]
+    var grant = req.n
+    if (this.rate) {
+      var min = Math.min(req.n, Math.max(1, Math.floor(this.rate * MIN_GRANT_MS / 1000)))
+      if (this.tokens < min) break
+      grant = Math.min(req.n, Math.floor(this.tokens))
+      this.tokens -= grant
+    }
+    this._queue.shift()
+    granted.push([req.cb, grant])
+  }
+
+  if (this._queue.length && this.rate && !this.paused) {
+    var need = Math.min(this._queue[0].n, Math.max(1, this.rate * MIN_GRANT_MS / 1000))
+    var wait = Math.ceil((need - this.tokens) * 1000 / this.rate)
+    this._timer = setTimeout(this._process.bind(this), Math.max(wait, 1))
+  }
+
+  // Call back last, as callbacks may make new requests
+  granted.forEach(function (g) {
+    g[0](g[1])
+  })
+}
+
+inherits(ThrottleStream, stream.Transform)
+
+/**
+ * ThrottleStream
+ * ==============
+ * @param {Array.<Throttle>} throttles  throttles that data must get through;
+ *                                      can be changed at any time
+ */
+function ThrottleStream (throttles) {
+  stream.Transform.call(this)
+  this.throttles = throttles || []
+}
+
+ThrottleStream.prototype._transform = function (chunk, enc, cb) {
+  var self = this
+  var offset = 0
+
+  var limited = self.throttles.some(function (throttle) {
+    return throttle.rate || throttle.paused
+  })
+  if (!limited) return cb(null, chunk)
+
+  function next () {
+    if (offset >= chunk.length) return cb()
+    var throttles = self.throttles.slice()
+    take(throttles, Math.min(SLICE_SIZE, chunk.length - offset), function (granted) {
+      if (self.destroyed) {
+        return throttles.forEach(function (throttle) {
+          throttle.giveBack(granted)
+        })
+      }
+      self.push(chunk.slice(offset, offset + granted))
+      offset += granted
+      next()
+    })
+  }
+  next()
+}
+
+/**
+ * Get `n` bytes worth of tokens from every throttle in `throttles`, giving back
+ * tokens to the earlier throttles when a later one grants less.
+ * @param {Array.<Throttle>} throttles
+ * @param {number} n
+ * @param {function} cb
+ */
+function take (throttles, n, cb) {
+  var granted = []
+  function next (i, n) {
+    if (i === throttles.length) return cb(n)
+    throttles[i].request(n, function (grant) {
+      granted.forEach(function (g, j) {
+        throttles[j].giveBack(g - grant)
+        granted[j] = grant
+      })
+      granted.push(grant)
+      next(i + 1, grant)
+    })
+  }
+  next(0, n)
+}
@@ -0,0 +1,134 @@
+module.exports = utHolepunch
+
+var debug = require('debug')('bittorrent-swarm:holepunch')
+var peerAddr = require('./peer-addr')
+
+// Message types
+var RENDEZVOUS = 0x00
+var CONNECT = 0x01
+var ERROR = 0x02
+
+// Error codes
+var NO_SUCH_PEER = 0x01 // the target is not known to the relay
+var NOT_CONNECTED = 0x02 // the relay is not connected to the target
+var NO_SUPPORT = 0x03 // the target does not support ut_holepunch
+var NO_SELF = 0x04 // the target is the initiating peer
+
+/**
+ * Hole punching (ut_holepunch, BEP 55)
+ * ====================================
+ * Create a wire extension to connect two peers behind NATs through a peer that
+ * both are connected to (the relay). The initiator sends `rendezvous` with the
+ * target's address to the relay, which sends `connect` to both, with the
+ * address of the other one. Both then dial each other over uTP at the same
+ * time, from their listening port.
+ *
+ * Options:
+ *   onRendezvous  {function}  function (wire, addr) called when the peer asks us
+ *                             to relay a rendezvous with `addr`
+ *   onConnect     {function}  function (wire, addr) called when the peer tells
+ *                             us to connect to `addr`
+ *   onError       {function}  function (wire, addr, code) called when the peer
+ *                             couldn't relay a rendezvous with `addr`
+ *
+ * @param  {Object} opts
+ * @return {function} extension for `wire.use`
+ */
+function utHolepunch (opts) {
+  function UtHolepunch (wire) {
+    this.wire = wire
+    this.supported = false // did the peer announce ut_holepunch?
+    this.lastUnsolicited = 0 // time of the last `connect` we didn't ask for
+  }
+
+  UtHolepunch.prototype.name = 'ut_holepunch'
+
+  UtHolepunch.prototype.onExtendedHandshake = function (handshake) {
+    this.supported = !!(handshake.m && handshake.m.ut_holepunch)
+  }
+
+  /**
+   * Ask the peer to relay a rendezvous with `addr`.
+   * @param {string} addr
+   */
+  UtHolepunch.prototype.rendezvous = function (addr) {
+    this._send(RENDEZVOUS, addr, 0)
+  }
+
+  /**
+   * Tell the peer to connect to `addr`.
+   * @param {string} addr
+   */
+  UtHolepunch.prototype.connect = function (addr) {
+    this._send(CONNECT, addr, 0)
+  }
+
+  /**
+   * Tell the peer that a rendezvous with `addr` can't be relayed.
+   * @param {string} addr
+   * @param {number} code  one of the `utHolepunch.ERR_*` codes
+   */
+  UtHolepunch.prototype.error = function (addr, code) {
+    this._send(ERROR, addr, code)
+  }
+
+  UtHolepunch.prototype._send = function (type, addr, code) {
+    if (!this.supported) return
+    var buf = encode({ type: type, addr: addr, err: code })
+    if (buf) this.wire.extended('ut_holepunch', buf)
+  }
+
+  UtHolepunch.prototype.onMessage = function (buf) {
+    var msg = decode(buf)
+    if (!msg) return debug('ignoring invalid holepunch message')
+
+    if (msg.type === RENDEZVOUS) opts.onRendezvous(this.wire, msg.addr)
+    else if (msg.type === CONNECT) opts.onConnect(this.wire, msg.addr)
+    else if (msg.type === ERROR) opts.onError(this.wire, msg.addr, msg.err)
+  }
+
+  return UtHolepunch
+}
+
+utHolepunch.RENDEZVOUS = RENDEZVOUS
+utHolepunch.CONNECT = CONNECT
+utHolepunch.ERROR = ERROR
+utHolepunch.ERR_NO_SUCH_PEER = NO_SUCH_PEER
+utHolepunch.ERR_NOT_CONNECTED = NOT_CONNECTED
+utHolepunch.ERR_NO_SUPPORT = NO_SUPPORT
+utHolepunch.ERR_NO_SELF = NO_SELF
+utHolepunch.encode = encode
+utHolepunch.decode = decode
+
+/**
+ * Encode a holepunch message: type (1 byte), address type (1 byte, 0 for IPv4
+ * and 1 for IPv6), ip, port (2 bytes) and error code (4 bytes).
+ * @param  {Object} msg  {type, addr, err}
+ * @return {Buffer} or null if `msg.addr` is invalid
+ */
+function encode (msg) {
+  var compact = peerAddr.toCompact(msg.addr)
+  if (!compact) return null
+  var buf = new Buffer(compact.length + 6)
+  buf.writeUInt8(msg.type, 0)
+  buf.writeUInt8(compact.length === 6 ? 0 : 1, 1)
+  compact.copy(buf, 2)
+  buf.writeUInt32BE(msg.err || 0, compact.length + 2)
+  return buf
+}
+
+/**
+ * Decode a holepunch message.
+ * @param  {Buffer} buf
+ * @return {Object} {type, addr, err}, or null if `buf` isn't a valid message
+ */
+function decode (buf) {
+  if (buf.length < 2) return null
+  var size = buf[1] === 0 ? 6 : buf[1] === 1 ? 18 : 0
+  if (!size || buf.length < size + 6) return null
+  return {
+    type: buf[0],
+    addr: peerAddr.fromCompact(buf.slice(2, 2 + size)),
+    err: buf.readUInt32BE(2 + size)
+  }
+}
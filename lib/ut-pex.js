@@ -0,0 +1,195 @@
+module.exports = utPex
+
+var bencode = require('bencode')
+var debug = require('debug')('bittorrent-swarm:pex')
+var peerAddr = require('./peer-addr')
+
+var PEX_INTERVAL = 60000 // BEP 11: at most one message per minute
+var MAX_ADDED = 50 // peers added or dropped per message, both ways
+
+// Flags of added peers
+var FLAG_ENCRYPTION = 0x01
+var FLAG_CONNECTABLE = 0x10
+
+/**
+ * Peer exchange (ut_pex, BEP 11)
+ * ==============================
+ * Create a wire extension that tells peers which peers we are connected to,
+ * and passes on the peers they tell us about (also kept in `wire.ut_pex.peers`,
+ * until the peer drops them). Call `wire.ut_pex.update()` regularly to send the
+ * changes since the last message, at most once every `interval`.
+ *
+ * Options:
+ *   peers     {function}  function (wire) returning the peers to tell the
+ *                          wire's peer about, as {addr, encrypted} objects
+ *   onPeer    {function}  function (addr, flags) called for every peer received
+ *   interval  {number}    ms between messages; messages from peers that come
+ *                          sooner than half of this are ignored (default: 60000)
+ *
+ * @param  {Object} opts
+ * @return {function} extension for `wire.use`
+ */
+function utPex (opts) {
+  var interval = opts.interval || PEX_INTERVAL
+
+  function UtPex (wire) {
+    this.wire = wire
+    this.supported = false // did the peer announce ut_pex?
+    this._sent = {} // addr -> true, peers that the peer was told about
+    this.peers = {} // addr -> flags, peers that the peer told us about
+    this._lastReceived = 0
+    this._lastSent = 0
+  }
+
+  UtPex.prototype.name = 'ut_pex'
+
+  UtPex.prototype.onExtendedHandshake = function (handshake) {
+    if (!handshake.m || !handshake.m.ut_pex) return
+    this.supported = true
+    this.update()
+  }
+
+  /**
+   * Send the peers that were added and dropped since the last message, unless
+   * the last message was sent less than `interval` ago: they are sent by a
+   * later call then.
+   */
+  UtPex.prototype.update = function () {
+    if (!this.supported) return
+    var now = Date.now()
+    if (now - this._lastSent < interval) return
+
+    var current = {}
+    opts.peers(this.wire).forEach(function (peer) {
+      current[peer.addr] = peer
+    })
+
+    var added = Object.keys(current).filter(function (addr) {
+      return !this._sent[addr]
+    }, this).slice(0, MAX_ADDED)
+    var dropped = Object.keys(this._sent).filter(function (addr) {
+      return !current[addr]
+    }).slice(0, MAX_ADDED)
+    if (added.length === 0 && dropped.length === 0) return
+
+    added.forEach(function (addr) { this._sent[addr] = true }, this)
+    dropped.forEach(function (addr) { delete this._sent[addr] }, this)
+    this._lastSent = now
+
+    debug('sending %d added, %d dropped', added.length, dropped.length)
+    this.wire.extended('ut_pex', encode(added.map(function (addr) {
+      return current[addr]
+    }), dropped))
+  }
+
+  UtPex.prototype.onMessage = function (buf) {
+    var now = Date.now()
+    if (now - this._lastReceived < interval / 2) {
+      debug('ignoring pex message that came too soon')
+      return
+    }
+    this._lastReceived = now
+
+    var msg
+    try {
+      msg = decode(buf)
+    } catch (err) {
+      debug('ignoring invalid pex message (%s)', err.message)
+      return
+    }
+    msg.dropped.forEach(function (addr) {
+      delete this.peers[addr]
+    }, this)
+    msg.added.slice(0, MAX_ADDED).forEach(function (peer) {
+      this.peers[peer.addr] = peer.flags
+      opts.onPeer(peer.addr, peer.flags)
+    }, this)
+  }
+
+  return UtPex
+}
+
+utPex.FLAG_ENCRYPTION = FLAG_ENCRYPTION
+utPex.FLAG_CONNECTABLE = FLAG_CONNECTABLE
+utPex.encode = encode
+utPex.decode = decode
+
+/**
+ * Encode a pex message.
+ * @param  {Array.<Object>} added  {addr, encrypted} objects
+ * @param  {Array.<string>} dropped  addresses
+ * @return {Buffer}
+ */
+function encode (added, dropped) {
+  var msg = {
+    added: [],
+    'added.f': [],
+    added6: [],
+    'added6.f': [],
+    dropped: [],
+    dropped6: []
+  }
+
+  added.forEach(function (peer) {
+    var compact = peerAddr.toCompact(peer.addr)
+    if (!compact) return
+    var key = compact.length === 6 ? 'added' : 'added6'
+    msg[key].push(compact)
+    msg[key + '.f'].push(FLAG_CONNECTABLE | (peer.encrypted ? FLAG_ENCRYPTION : 0))
+  })
+  dropped.forEach(function (addr) {
+    var compact = peerAddr.toCompact(addr)
+    if (compact) msg[compact.length === 6 ? 'dropped' : 'dropped6'].push(compact)
+  })
+
+  for (var key in msg) {
+    msg[key] = /\.f$/.test(key) ? new Buffer(msg[key]) : Buffer.concat(msg[key])
+  }
+  return bencode.encode(msg)
+}
+
+/**
+ * Decode a pex message.
+ * @param  {Buffer} buf
+ * @return {Object} {added: Array.<{addr, flags}>, dropped: Array.<string>}
+ */
+function decode (buf) {
+  var msg = bencode.decode(buf)
+  if (!msg || typeof msg !== 'object') throw new Error('not a dictionary')
+
+  return {
+    added: withFlags(fromCompact(msg.added, 6), msg['added.f'])
+      .concat(withFlags(fromCompact(msg.added6, 18), msg['added6.f'])),
+    dropped: fromCompact(msg.dropped, 6).concat(fromCompact(msg.dropped6, 18))
+  }
+}
+
+/**
+ * @param  {Array.<string>} addrs
+ * @param  {Buffer} flags  one byte per address
+ * @return {Array.<Object>} {addr, flags} objects
+ */
+function withFlags (addrs, flags) {
+  flags = toBuffer(flags)
+  return addrs.map(function (addr, i) {
+    return { addr: addr, flags: flags[i] || 0 }
+  })
+}
+
+/**
+ * @param  {Buffer} buf  compact peers
+ * @param  {number} size  bytes per peer (6 or 18)
+ * @return {Array.<string>} addresses
+ */
+function fromCompact (buf, size) {
+  buf = toBuffer(buf)
+  var addrs = []
+  for (var i = 0; i + size <= buf.length; i += size) {
+    addrs.push(peerAddr.fromCompact(buf.slice(i, i + size)))
+  }
+  return addrs
+}
+
+function toBuffer (value) {
+  return Buffer.isBuffer(value) ? value : new Buffer(0)
+}
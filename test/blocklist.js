@@ -0,0 +1,133 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var portfinder = require('portfinder')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+test('blocklist rule formats', function (t) {
+  var blocklist = new Swarm.Blocklist([
+    '# comment',
+    '10.0.0.0/8',
+    'Some Org-Name:1.2.3.0-1.2.3.255',
+    '5.6.7.8',
+    '20.0.0.1 - 20.0.0.9',
+    '2001:db8::/32',
+    'not a rule'
+  ])
+
+  t.equal(blocklist.length, 5, 'ignored comments and invalid rules')
+  t.equal(blocklist.match('10.200.3.4'), '10.0.0.0/8')
+  t.equal(blocklist.match('11.0.0.0'), null)
+  t.equal(blocklist.match('1.2.3.77'), 'Some Org-Name:1.2.3.0-1.2.3.255')
+  t.equal(blocklist.match('1.2.4.0'), null)
+  t.equal(blocklist.match('5.6.7.8'), '5.6.7.8')
+  t.equal(blocklist.match('5.6.7.9'), null)
+  t.equal(blocklist.match('20.0.0.5'), '20.0.0.1 - 20.0.0.9')
+  t.equal(blocklist.match('2001:db8:1::1'), '2001:db8::/32')
+  t.equal(blocklist.match('2001:db9::1'), null)
+  t.equal(blocklist.match('::ffff:10.0.0.1'), '10.0.0.0/8', 'IPv4-mapped address')
+  t.end()
+})
+
+test('blocklist ignores invalid prefix lengths', function (t) {
+  var blocklist = new Swarm.Blocklist([
+    '1.2.3.4/',
+    '1.2.3.4/40',
+    '1.2.3.4/ 8',
+    '2001:db8::/129',
+    '5.6.7.8/32'
+  ])
+  t.equal(blocklist.length, 1)
+  t.equal(blocklist.match('8.8.8.8'), null)
+  t.equal(blocklist.match('1.2.3.4'), null)
+  t.equal(blocklist.match('5.6.7.8'), '5.6.7.8/32')
+  t.end()
+})
+
+test('blocklist P2P descriptions can contain slashes', function (t) {
+  var blocklist = new Swarm.Blocklist(['Acme/Widgets Inc:1.2.3.0-1.2.3.255'])
+  t.equal(blocklist.length, 1)
+  t.equal(blocklist.match('1.2.3.4'), 'Acme/Widgets Inc:1.2.3.0-1.2.3.255')
+  t.equal(blocklist.match('1.2.4.0'), null)
+  t.end()
+})
+
+test('blocklist with overlapping ranges', function (t) {
+  var blocklist = new Swarm.Blocklist('1.0.0.0-1.255.255.255\n1.2.0.0/16\n')
+  t.equal(blocklist.match('1.2.3.4'), '1.2.0.0/16')
+  t.equal(blocklist.match('1.9.0.0'), '1.0.0.0-1.255.255.255')
+  blocklist.clear()
+  t.equal(blocklist.match('1.2.3.4'), null)
+  t.end()
+})
+
+test('addPeer drops blocked addresses', function (t) {
+  t.plan(3)
+
+  var swarm = new Swarm(infoHash, peerId1, { blocklist: ['1.2.3.0/24'] })
+  swarm.pause()
+  swarm.on('blocked', function (addr, rule) {
+    t.equal(addr, '1.2.3.4:6881')
+    t.equal(rule, '1.2.3.0/24')
+  })
+  swarm.addPeer('1.2.3.4:6881')
+  swarm.addPeer('1.2.4.4:6881')
+  t.equal(swarm._queue.length, 1, 'only unblocked peer queued')
+  swarm.destroy()
+})
+
+test('global blocklist refuses incoming peers', function (t) {
+  t.plan(2)
+
+  var swarm1 = new Swarm(infoHash, peerId1)
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    swarm1.listen(port, function () {
+      Swarm.blocklist.add('127.0.0.1')
+
+      var swarm2 = new Swarm(infoHash, peerId2)
+      swarm1.on('wire', function () { t.fail('accepted blocked peer') })
+      swarm1.on('blocked', function (addr, rule) {
+        t.ok(/^127\.0\.0\.1:\d+$/.test(addr))
+        t.equal(rule, '127.0.0.1')
+        Swarm.blocklist.clear()
+        swarm1.destroy()
+        swarm2.destroy()
+      })
+
+      // Don't block the outgoing side
+      swarm2._blocked = function () { return null }
+      swarm2.addPeer('127.0.0.1:' + port)
+    })
+  })
+})
+
+test('updating a blocklist disconnects existing wires', function (t) {
+  t.plan(3)
+
+  var swarm1 = new Swarm(infoHash, peerId1)
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    swarm1.listen(port, function () {
+      var swarm2 = new Swarm(infoHash, peerId2)
+      swarm2.on('wire', function (wire) {
+        t.equal(swarm2.numPeers, 1)
+        wire.on('close', function () {
+          t.equal(swarm2.numPeers, 0, 'wire was disconnected')
+          swarm1.destroy()
+          swarm2.destroy()
+        })
+        swarm2.blocklist.add('127.0.0.0/8')
+      })
+      swarm2.on('blocked', function (addr) {
+        t.equal(addr, '127.0.0.1:' + port)
+      })
+      swarm2.addPeer('127.0.0.1:' + port)
+    })
+  })
+})
@@ -0,0 +1,157 @@
+require('./helpers/netSwitch')
+
+var EventEmitter = require('events').EventEmitter
+var hat = require('hat')
+var portfinder = require('portfinder')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+function fakeWire (name, download, upload) {
+  var wire = new EventEmitter()
+  wire.name = name
+  wire.amChoking = true
+  wire.peerInterested = true
+  wire.downloadSpeed = function () { return download }
+  wire.uploadSpeed = function () { return upload }
+  wire.choke = function () { wire.amChoking = true }
+  wire.unchoke = function () { wire.amChoking = false }
+  return wire
+}
+
+function unchoked (choker) {
+  return choker.wires.filter(function (wire) {
+    return !wire.amChoking
+  }).map(function (wire) {
+    return wire.name
+  }).sort()
+}
+
+test('choker unchokes fastest peers plus one optimistic', function (t) {
+  var choker = new Swarm.Choker({ slots: 3 })
+  var wires = [
+    fakeWire('a', 100, 0),
+    fakeWire('b', 500, 0),
+    fakeWire('c', 300, 0),
+    fakeWire('d', 0, 0),
+    fakeWire('e', 0, 0)
+  ]
+  wires.forEach(choker.add, choker)
+
+  choker.rechoke()
+  var names = unchoked(choker)
+  t.equal(names.length, 3)
+  t.ok(names.indexOf('b') !== -1 && names.indexOf('c') !== -1, 'fastest peers unchoked')
+  t.ok(choker.optimistic, 'has an optimistic unchoke')
+  t.ok(['a', 'd', 'e'].indexOf(choker.optimistic.name) !== -1)
+
+  choker.destroy()
+  t.end()
+})
+
+test('choker rotates optimistic unchoke', function (t) {
+  var choker = new Swarm.Choker({ slots: 1 })
+  var seen = {}
+  for (var i = 0; i < 10; i++) choker.add(fakeWire(String(i), 0, 0))
+
+  for (i = 0; i < 60; i++) {
+    choker.rechoke()
+    t.equal(unchoked(choker).length, 1)
+    seen[choker.optimistic.name] = true
+  }
+  t.ok(Object.keys(seen).length > 1, 'optimistic unchoke rotated')
+  choker.destroy()
+  t.end()
+})
+
+test('choker ignores uninterested peers and refills slots', function (t) {
+  var choker = new Swarm.Choker({ slots: 2 })
+  var a = fakeWire('a', 10, 0)
+  var b = fakeWire('b', 20, 0)
+  var c = fakeWire('c', 30, 0)
+  c.peerInterested = false
+  ;[a, b, c].forEach(choker.add, choker)
+
+  t.deepEqual(unchoked(choker), ['a', 'b'])
+
+  b.peerInterested = false
+  b.emit('uninterested')
+  c.peerInterested = true
+  c.emit('interested')
+  t.ok(unchoked(choker).indexOf('c') !== -1, 'newly interested peer got free slot')
+  choker.rechoke()
+  t.ok(unchoked(choker).indexOf('b') === -1, 'uninterested peer choked on rechoke')
+
+  choker.destroy()
+  t.end()
+})
+
+test('interest changes only fill free slots', function (t) {
+  var choker = new Swarm.Choker({ slots: 2 })
+  var a = fakeWire('a', 10, 0)
+  var b = fakeWire('b', 20, 0)
+  var c = fakeWire('c', 30, 0)
+  var d = fakeWire('d', 40, 0)
+  c.peerInterested = false
+  d.peerInterested = false
+  ;[a, b, c, d].forEach(choker.add, choker)
+  t.deepEqual(unchoked(choker), ['a', 'b'])
+
+  c.peerInterested = true
+  c.emit('interested')
+  t.deepEqual(unchoked(choker), ['a', 'b'], 'faster peer waits for the rechoke')
+
+  d.peerInterested = true
+  b.peerInterested = false
+  b.emit('uninterested')
+  t.deepEqual(unchoked(choker), ['a', 'b', 'd'], 'best waiting peer got the free slot')
+
+  choker.destroy()
+  t.end()
+})
+
+test('choker ranks by upload rate when seeding, or custom rank', function (t) {
+  var choker = new Swarm.Choker({ slots: 2, seeding: true })
+  var a = fakeWire('a', 1000, 1)
+  var b = fakeWire('b', 1, 1000)
+  var c = fakeWire('c', 1, 500)
+  ;[a, b, c].forEach(choker.add, choker)
+  choker.rechoke()
+  t.ok(!b.amChoking, 'fastest upload peer unchoked')
+  choker.destroy()
+
+  choker = new Swarm.Choker({
+    slots: 2,
+    rank: function (wire) { return wire.name === 'a' ? 1 : 0 }
+  })
+  ;[a, b, c].forEach(function (wire) { wire.amChoking = true })
+  ;[a, b, c].forEach(choker.add, choker)
+  choker.rechoke()
+  t.ok(!a.amChoking, 'custom rank used')
+  choker.destroy()
+  t.end()
+})
+
+test('swarm with choker unchokes interested wires', function (t) {
+  t.plan(1)
+
+  var swarm1 = new Swarm(infoHash, peerId1, { choker: true })
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    swarm1.listen(port, function () {
+      var swarm2 = new Swarm(infoHash, peerId2)
+      swarm2.on('wire', function (wire) {
+        wire.on('unchoke', function () {
+          t.pass('unchoked by choker')
+          swarm1.destroy()
+          swarm2.destroy()
+        })
+        wire.interested()
+      })
+      swarm2.addPeer('127.0.0.1:' + port)
+    })
+  })
+})
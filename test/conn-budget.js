@@ -0,0 +1,154 @@
+require('./helpers/netSwitch')
+
+var ConnBudget = require('../lib/conn-budget')
+var hat = require('hat')
+var portfinder = require('portfinder')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash1 = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var infoHash2 = 'a2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId3 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+function fakeSwarm (queued, weight) {
+  return {
+    maxConns: 55,
+    weight: weight,
+    _queue: { length: queued },
+    _drain: function () {}
+  }
+}
+
+// Add `swarm` to `budget` with `numConns` open connections
+function addSwarm (budget, swarm, numConns) {
+  budget.add(swarm)
+  for (var i = 0; i < numConns; i++) budget.accepted(swarm)
+}
+
+test('budget is split by weight', function (t) {
+  var budget = new ConnBudget({ maxConns: 30 })
+  var a = fakeSwarm(100, 1)
+  var b = fakeSwarm(100, 2)
+  budget.add(a)
+  budget.add(b)
+  t.equal(budget.share(a), 10)
+  t.equal(budget.share(b), 20)
+  t.end()
+})
+
+test('idle swarms give their share to busy ones', function (t) {
+  var budget = new ConnBudget({ maxConns: 30 })
+  var idle = fakeSwarm(0, 1)
+  var busy1 = fakeSwarm(100, 1)
+  var busy2 = fakeSwarm(100, 1)
+  addSwarm(budget, idle, 2)
+  addSwarm(budget, busy1, 5)
+  addSwarm(budget, busy2, 5)
+  t.equal(budget.share(idle), 2)
+  t.equal(budget.share(busy1), 14)
+  t.equal(budget.share(idle, 1), 3, 'room for an incoming connection')
+
+  t.ok(budget.canDial(busy1))
+  for (var i = 0; i < 9; i++) budget.dialing(busy1)
+  t.equal(budget.conns, 21)
+  t.notOk(budget.canDial(busy1), 'share used up')
+
+  budget.dialed(busy1, false)
+  budget.closed(busy2)
+  t.equal(budget.conns, 19, 'failed dials and closed connections freed')
+  t.ok(budget.canDial(busy1))
+  t.end()
+})
+
+test('half-open dials are limited', function (t) {
+  var budget = new ConnBudget({ maxHalfOpen: 2 })
+  var a = fakeSwarm(10, 1)
+  var b = fakeSwarm(10, 1)
+  budget.add(a)
+  budget.add(b)
+  budget.dialing(a)
+  budget.dialing(a)
+  t.notOk(budget.canDial(b))
+  budget.dialed(a, true)
+  t.ok(budget.canDial(b))
+  t.equal(budget.conns, 2, 'connected dial still counts')
+  t.end()
+})
+
+test('no limits by default', function (t) {
+  var budget = new ConnBudget()
+  var a = fakeSwarm(1000, 1)
+  addSwarm(budget, a, 1000)
+  t.ok(budget.canDial(a))
+  t.ok(budget.canAccept(a))
+  t.end()
+})
+
+test('drain computes the shares once', function (t) {
+  var budget = new ConnBudget({ maxConns: 100 })
+  var computed = 0
+  var compute = budget._computeShares
+  budget._computeShares = function () {
+    computed += 1
+    return compute.apply(this, arguments)
+  }
+  for (var i = 0; i < 10; i++) {
+    var swarm = fakeSwarm(10, 1)
+    swarm._drain = function () { budget.canDial(this) }
+    budget.add(swarm)
+  }
+  budget.drain()
+  t.equal(computed, 1)
+  t.end()
+})
+
+test('a bigger budget lets a waiting swarm dial several peers', function (t) {
+  Swarm.setConnectionLimits({ maxConns: 1 })
+  var swarm = new Swarm(infoHash1, peerId1)
+  var dialed = 0
+  swarm.on('peer-connecting', function () { dialed += 1 })
+
+  swarm.addPeer('127.0.0.1:1')
+  swarm.addPeer('127.0.0.1:2')
+  swarm.addPeer('127.0.0.1:3')
+  t.equal(dialed, 1, 'one dial fits the budget')
+
+  Swarm.setConnectionLimits({ maxConns: 3 })
+  t.equal(dialed, 3, 'the rest are dialed once the budget grows')
+
+  Swarm.setConnectionLimits({ maxConns: 0 })
+  swarm.destroy()
+  t.end()
+})
+
+test('swarms wait for the process-wide budget', function (t) {
+  Swarm.setConnectionLimits({ maxConns: 2 })
+
+  var swarm1 = new Swarm(infoHash1, peerId1)
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    swarm1.listen(port, function () {
+      var swarm2 = new Swarm(infoHash1, peerId2)
+      var swarm3 = new Swarm(infoHash2, peerId3)
+
+      swarm2.once('wire', function () {
+        // swarm2's outgoing and swarm1's incoming connection use the budget
+        swarm3.addPeer('127.0.0.1:' + port)
+        t.equal(swarm3.numConns, 0, 'swarm3 has to wait')
+        t.equal(swarm3._queue.length, 1)
+
+        swarm3.once('peer-connecting', function () {
+          t.pass('swarm3 dials once swarm2 is gone')
+          Swarm.setConnectionLimits({ maxConns: 0 })
+          swarm1.destroy()
+          swarm3.destroy()
+          t.end()
+        })
+        swarm2.destroy()
+      })
+      swarm2.addPeer('127.0.0.1:' + port)
+    })
+  })
+})
@@ -0,0 +1,111 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var net = require('net')
+var portfinder = require('portfinder')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+// Stand-in for a uTP transport: a TCP transport that really uses port + 1000,
+// so that it can "share" a port number with the plain TCP transport.
+var PORT_OFFSET = 1000
+var fakeUTP = {
+  connect: function (opts) {
+    return net.connect({ host: opts.host, port: opts.port + PORT_OFFSET })
+  },
+  createServer: function (onconn) {
+    var server = net.createServer(onconn)
+    var listen = server.listen
+    server.listen = function (port, cb) {
+      return listen.call(server, port + PORT_OFFSET, cb)
+    }
+    return server
+  }
+}
+
+function destroyAfter (n, swarm1, swarm2) {
+  return function () {
+    if (--n > 0) return
+    swarm1.destroy()
+    swarm2.destroy()
+  }
+}
+
+function getPort (cb) {
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    cb(port % 2 === 0 ? port : port + 1) // keep port + offset clear of portfinder
+  })
+}
+
+test('dual-stack swarm listens on both transports and prefers uTP', function (t) {
+  t.plan(3)
+
+  var swarm1 = new Swarm(infoHash, peerId1, { utp: fakeUTP })
+  getPort(function (port) {
+    swarm1.listen(port, function () {
+      t.pass('listening once both transports are listening')
+
+      var swarm2 = new Swarm(infoHash, peerId2, { utp: fakeUTP })
+      var done = destroyAfter(2, swarm1, swarm2)
+      swarm2.on('wire', function (wire) {
+        t.equal(wire.transport, 'utp', 'outgoing wire records transport')
+        done()
+      })
+      swarm1.on('wire', function (wire) {
+        t.equal(wire.transport, 'utp', 'incoming wire records transport')
+        done()
+      })
+      swarm2.addPeer('127.0.0.1:' + port)
+    })
+  })
+})
+
+test('dual-stack swarm falls back to tcp', function (t) {
+  t.plan(2)
+
+  var swarm1 = new Swarm(infoHash, peerId1) // tcp only
+  getPort(function (port) {
+    swarm1.listen(port, function () {
+      var swarm2 = new Swarm(infoHash, peerId2, { utp: fakeUTP })
+      var done = destroyAfter(2, swarm1, swarm2)
+      swarm2.on('wire', function (wire) {
+        t.equal(wire.transport, 'tcp', 'outgoing wire fell back to tcp')
+        done()
+      })
+      swarm1.on('wire', function (wire) {
+        t.equal(wire.transport, 'tcp')
+        done()
+      })
+      swarm2.addPeer('127.0.0.1:' + port)
+    })
+  })
+})
+
+test('dual-stack swarm races transports', function (t) {
+  t.plan(3)
+
+  var swarm1 = new Swarm(infoHash, peerId1, { utp: fakeUTP })
+  getPort(function (port) {
+    swarm1.listen(port, function () {
+      var swarm2 = new Swarm(infoHash, peerId2, {
+        utp: fakeUTP,
+        dialStrategy: 'race'
+      })
+      swarm2.on('wire', function (wire) {
+        t.ok(wire.transport === 'tcp' || wire.transport === 'utp')
+        setTimeout(function () {
+          t.equal(swarm2.wires.length, 1, 'kept only one connection')
+          t.equal(swarm1.wires.length, 1)
+          swarm1.destroy()
+          swarm2.destroy()
+        }, 200)
+      })
+      swarm2.addPeer('127.0.0.1:' + port)
+    })
+  })
+})
@@ -0,0 +1,106 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var portfinder = require('portfinder')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+test('both sides keep the same connection', function (t) {
+  var swarm = new Swarm(infoHash, peerId1)
+  var remoteId = peerId2
+  var outgoing = { source: 'manual', peerId: remoteId }
+  var incoming = { source: 'incoming', peerId: remoteId }
+
+  var keep = swarm._resolveDuplicate(outgoing, incoming)
+  t.equal(swarm._resolveDuplicate(incoming, outgoing), keep, 'order does not matter')
+
+  // the remote side sees the same connections the other way around
+  var remote = new Swarm(infoHash, peerId2)
+  var remoteKeep = remote._resolveDuplicate(
+    { source: 'incoming', peerId: peerId1 },
+    { source: 'manual', peerId: peerId1 }
+  )
+  t.equal(keep === outgoing, remoteKeep.source === 'incoming', 'same connection kept')
+  t.equal(keep === outgoing, peerId1 < peerId2, 'lower id keeps its outgoing connection')
+
+  var older = { source: 'manual', peerId: remoteId }
+  var newer = { source: 'manual', peerId: remoteId }
+  t.equal(swarm._resolveDuplicate(older, newer), older, 'same direction keeps oldest')
+
+  swarm.destroy()
+  remote.destroy()
+  t.end()
+})
+
+// Make two swarms dial each other at the same time, and call back once they
+// have sorted out the duplicate connections
+function dialEachOther (t, cb) {
+  var swarm1 = new Swarm(infoHash, peerId1)
+  var swarm2 = new Swarm(infoHash, peerId2)
+  var duplicates = 0
+
+  function onduplicate (addr, info) {
+    duplicates += 1
+    t.ok(info.peerId === peerId1 || info.peerId === peerId2, 'duplicate peer id given')
+  }
+  swarm1.on('peer-duplicate', onduplicate)
+  swarm2.on('peer-duplicate', onduplicate)
+
+  portfinder.getPort(function (err, port1) {
+    if (err) throw err
+    swarm1.listen(port1, function () {
+      portfinder.getPort(function (err, port2) {
+        if (err) throw err
+        swarm2.listen(port2, function () {
+          swarm1.addPeer('127.0.0.1:' + port2)
+          swarm2.addPeer('127.0.0.1:' + port1)
+
+          setTimeout(function () {
+            t.ok(duplicates > 0, 'duplicate detected')
+            cb(swarm1, swarm2)
+          }, 1000)
+        })
+      })
+    })
+  })
+}
+
+test('peers dialing each other end up with one connection', function (t) {
+  dialEachOther(t, function (swarm1, swarm2) {
+    t.equal(swarm1.wires.length, 1)
+    t.equal(swarm2.wires.length, 1)
+    t.equal(swarm1.numConns, 1)
+    t.equal(swarm2.numConns, 1)
+    swarm1.destroy()
+    swarm2.destroy()
+    t.end()
+  })
+})
+
+test('dropped outgoing peer is dialed again once the kept connection closes', function (t) {
+  dialEachOther(t, function (swarm1, swarm2) {
+    // The side with the higher id keeps the incoming connection
+    var high = peerId1 < peerId2 ? swarm2 : swarm1
+    var low = high === swarm1 ? swarm2 : swarm1
+    var addr = '127.0.0.1:' + low.port
+
+    var stats = high.getPeerStats().filter(function (peer) {
+      return peer.direction === 'outgoing'
+    })
+    t.equal(stats.length, 1, 'outgoing peer kept')
+    t.equal(stats[0].addr, addr)
+    t.equal(stats[0].state, 'duplicate')
+
+    high.once('peer-connecting', function (connecting) {
+      t.equal(connecting, addr, 'dialed again')
+      swarm1.destroy()
+      swarm2.destroy()
+      t.end()
+    })
+    high.wires[0].destroy()
+  })
+})
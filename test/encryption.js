@@ -0,0 +1,100 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var portfinder = require('portfinder')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+function join (mode1, mode2, cb) {
+  var swarm1 = new Swarm(infoHash, peerId1, { encryption: mode1 })
+  var swarm2 = new Swarm(infoHash, peerId2, { encryption: mode2 })
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    swarm1.listen(port, function () {
+      cb(swarm1, swarm2)
+      swarm2.addPeer('127.0.0.1:' + port)
+    })
+  })
+}
+
+test('encrypted connection when both peers require encryption', function (t) {
+  t.plan(4)
+
+  join('require', 'require', function (swarm1, swarm2) {
+    swarm1.on('wire', function (wire) {
+      t.equal(wire.encrypted, true, 'incoming wire is encrypted')
+      wire.on('interested', function () {
+        t.pass('got message through encrypted stream')
+        swarm1.destroy()
+        swarm2.destroy()
+      })
+    })
+    swarm2.on('wire', function (wire) {
+      t.equal(wire.encrypted, true, 'outgoing wire is encrypted')
+      t.equal(wire.peerId.toString('hex'), peerId1)
+      wire.interested()
+    })
+  })
+})
+
+test('prefer encryption, fall back to plaintext', function (t) {
+  t.plan(2)
+
+  join('disable', 'prefer', function (swarm1, swarm2) {
+    swarm2.on('wire', function (wire) {
+      t.equal(wire.encrypted, false, 'outgoing wire fell back to plaintext')
+      swarm1.destroy()
+      swarm2.destroy()
+    })
+    swarm1.on('wire', function (wire) {
+      t.equal(wire.encrypted, false)
+    })
+  })
+})
+
+test('prefer encryption on both sides', function (t) {
+  t.plan(2)
+
+  join('prefer', 'prefer', function (swarm1, swarm2) {
+    swarm2.on('wire', function (wire) {
+      t.equal(wire.encrypted, true)
+      swarm1.destroy()
+      swarm2.destroy()
+    })
+    swarm1.on('wire', function (wire) {
+      t.equal(wire.encrypted, true)
+    })
+  })
+})
+
+test('require encryption refuses plaintext incoming peers', function (t) {
+  t.plan(1)
+
+  join('require', 'disable', function (swarm1, swarm2) {
+    swarm1.on('wire', function () { t.fail('accepted plaintext peer') })
+    swarm2.on('wire', function () { t.fail('connected in plaintext') })
+    setTimeout(function () {
+      t.equal(swarm2.wires.length, 0, 'no plaintext connection')
+      swarm1.destroy()
+      swarm2.destroy()
+    }, 500)
+  })
+})
+
+test('require encryption refuses plaintext outgoing fallback', function (t) {
+  t.plan(1)
+
+  join('disable', 'require', function (swarm1, swarm2) {
+    swarm1.on('wire', function () { t.fail('accepted encrypted peer') })
+    swarm2.on('wire', function () { t.fail('fell back to plaintext') })
+    setTimeout(function () {
+      t.equal(swarm2.wires.length, 0, 'no plaintext connection')
+      swarm1.destroy()
+      swarm2.destroy()
+    }, 500)
+  })
+})
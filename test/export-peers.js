@@ -0,0 +1,103 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var portfinder = require('portfinder')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+test('exportPeers includes connected peer state', function (t) {
+  t.plan(8)
+
+  var swarm1 = new Swarm(infoHash, peerId1)
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    swarm1.listen(port, function () {
+      var swarm2 = new Swarm(infoHash, peerId2)
+      swarm2.on('wire', function () {
+        t.equal(swarm1.exportPeers().length, 0, 'incoming peers are not exported')
+
+        var snapshot = JSON.parse(JSON.stringify(swarm2.exportPeers()))
+        t.equal(snapshot.length, 1)
+        var entry = snapshot[0]
+        t.equal(entry.addr, '127.0.0.1:' + port)
+        t.equal(entry.peerId, peerId1)
+        t.ok(entry.lastConnected <= Date.now() && entry.lastConnected > 0)
+        t.equal(entry.retries, 0)
+        t.equal(entry.successes, 1)
+        t.equal(entry.downloaded + entry.uploaded, 0)
+
+        swarm1.destroy()
+        swarm2.destroy()
+      })
+      swarm2.addPeer('127.0.0.1:' + port)
+    })
+  })
+})
+
+test('importPeers restores peers and their backoff', function (t) {
+  var swarm = new Swarm(infoHash, peerId1)
+  swarm.pause()
+  swarm.addPeer('4.4.4.4:6881')
+
+  swarm.importPeers([
+    { addr: '1.1.1.1:6881', retries: 0, peerId: peerId2, downloaded: 10 },
+    { addr: '2.2.2.2:6881', retries: 3, retryAt: Date.now() + 60000 },
+    { addr: '3.3.3.3:6881', retries: 2, retryAt: Date.now() - 1000 },
+    { addr: '4.4.4.4:6881', retries: 5 }, // already known
+    { addr: '5.5.5.5:6881', retries: 100 }, // the policy gave up on it
+    { addr: '6.6.6.6:6881', retries: 8, retryAt: Date.now() + 60000 }, // last retry
+    { addr: 'invalid', retries: 0 }
+  ])
+
+  var queued = swarm._queue.toArray().map(function (peer) { return peer.addr })
+  t.deepEqual(queued.sort(), ['1.1.1.1:6881', '3.3.3.3:6881', '4.4.4.4:6881'])
+
+  var backingOff = swarm._peers['2.2.2.2:6881']
+  t.ok(backingOff.timeout, 'backing off peer is waiting')
+  t.equal(backingOff.retries, 3)
+  t.equal(swarm._peers['3.3.3.3:6881'].retries, 2)
+  t.equal(swarm._peers['4.4.4.4:6881'].retries, 0, 'known peer unchanged')
+  t.notOk(swarm._peers['5.5.5.5:6881'], 'peer past the retry limit skipped')
+  t.ok(swarm._peers['6.6.6.6:6881'].timeout, 'peer waiting for its last retry kept')
+
+  var peer = swarm._peers['1.1.1.1:6881']
+  t.equal(peer.peerId, peerId2)
+  t.equal(peer.downloaded, 10)
+
+  var snapshot = swarm.exportPeers()
+  var entry = snapshot.filter(function (e) { return e.addr === '2.2.2.2:6881' })[0]
+  t.equal(entry.retries, 3)
+  t.ok(entry.retryAt > Date.now(), 'backoff is exported again')
+
+  swarm.destroy()
+  t.end()
+})
+
+test('importPeers asks the reconnect policy whether to keep retrying', function (t) {
+  var swarm = new Swarm(infoHash, peerId1, {
+    reconnectPolicy: Swarm.reconnectPolicy.forever()
+  })
+  swarm.pause()
+  swarm.importPeers([{ addr: '5.5.5.5:6881', retries: 100 }])
+  t.ok(swarm._peers['5.5.5.5:6881'], 'never gives up')
+  swarm.destroy()
+  t.end()
+})
+
+test('importPeers dials every imported peer', function (t) {
+  var swarm = new Swarm(infoHash, peerId1)
+  var dialed = []
+  swarm.on('peer-connecting', function (addr) { dialed.push(addr) })
+  swarm.importPeers([
+    { addr: '127.0.0.1:1', retries: 0 },
+    { addr: '127.0.0.1:2', retries: 0 },
+    { addr: '127.0.0.1:3', retries: 0 }
+  ])
+  t.deepEqual(dialed.sort(), ['127.0.0.1:1', '127.0.0.1:2', '127.0.0.1:3'])
+  swarm.destroy()
+  t.end()
+})
@@ -0,0 +1,49 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+test('extensions are used on incoming and outgoing wires', function (t) {
+  var swarm1 = new Swarm(infoHash, peerId1)
+  var swarm2 = new Swarm(infoHash, peerId2)
+  function TestExt (wire) {
+    this.wire = wire
+    t.notOk(wire._handshakeSent, 'registered before our handshake')
+  }
+  TestExt.prototype.name = 'test_ext'
+  TestExt.prototype.onExtendedHandshake = function (handshake) {
+    if (swarm1.wires.indexOf(this.wire) === -1) return
+    t.ok(handshake.m.test_ext, 'peer announced the extension')
+    t.deepEqual(swarm1.getPeerStats()[0].extensions, ['test_ext'])
+    swarm2.destroy()
+    swarm1.destroy(function () { t.end() })
+  }
+
+  swarm1.use(TestExt)
+  swarm2.use(TestExt)
+
+  swarm1.on('wire', function (wire) {
+    t.ok(wire.test_ext instanceof TestExt, 'incoming wire')
+  })
+  swarm2.on('wire', function (wire) {
+    t.ok(wire.test_ext instanceof TestExt, 'outgoing wire')
+  })
+
+  swarm1.listen(function () {
+    swarm2.addPeer('127.0.0.1:' + swarm1.port)
+  })
+})
+
+test('extensions need a name', function (t) {
+  var swarm = new Swarm(infoHash, peerId1)
+  t.throws(function () {
+    swarm.use(function () {})
+  })
+  swarm.destroy()
+  t.end()
+})
@@ -0,0 +1,139 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var net = require('net')
+var Swarm = require('../')
+var test = require('tape')
+var utHolepunch = require('../lib/ut-holepunch')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId3 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+// uTP stand-in, where the swarm listening on `nat.port` can only be reached
+// from the ports it dialed before
+function natTransport () {
+  var nat = {
+    port: 0,
+    holes: {}, // ports that the swarm behind the NAT dialed
+    isUTP: true,
+    connect: function (opts) {
+      if (opts.localPort === nat.port) nat.holes[opts.port] = true
+      if (opts.port === nat.port && !nat.holes[opts.localPort])
+        return net.connect({ host: opts.host, port: 1 }) // refused
+      return net.connect({ host: opts.host, port: opts.port })
+    },
+    createServer: function (onconn) {
+      return net.createServer(onconn)
+    }
+  }
+  return nat
+}
+
+test('holepunch message encoding', function (t) {
+  var msg = { type: utHolepunch.CONNECT, addr: '1.2.3.4:6881', err: 0 }
+  t.deepEqual(utHolepunch.decode(utHolepunch.encode(msg)), msg)
+
+  msg = { type: utHolepunch.ERROR, addr: '[2001:db8::1]:51413', err: utHolepunch.ERR_NO_SELF }
+  t.equal(utHolepunch.encode(msg).length, 24)
+  t.deepEqual(utHolepunch.decode(utHolepunch.encode(msg)), msg)
+
+  t.equal(utHolepunch.decode(new Buffer([0, 0, 1, 2])), null, 'too short')
+  t.end()
+})
+
+test('peer behind a NAT is reached through a relay', function (t) {
+  var transport = natTransport()
+  var swarm1 = new Swarm(infoHash, peerId1, {
+    transport: transport, pex: { interval: 100 }, holepunch: true
+  })
+  var swarm2 = new Swarm(infoHash, peerId2, { transport: transport, holepunch: true })
+  var swarm3 = new Swarm(infoHash, peerId3, {
+    transport: transport, pex: { interval: 100 }, holepunch: true
+  })
+
+  var failed = false
+  swarm3.on('peer-connect-failed', function (addr) {
+    if (addr === '127.0.0.1:' + swarm2.port) failed = true
+  })
+  swarm3.on('wire', function (wire) {
+    if (wire.peerId.toString('hex') !== peerId2) return
+    t.ok(failed, 'direct dial failed')
+    t.pass('connected through the NAT')
+    swarm3.destroy()
+    swarm2.destroy()
+    swarm1.destroy(function () { t.end() })
+  })
+
+  swarm1.listen(function () {
+    swarm2.listen(function () {
+      transport.port = swarm2.port
+      swarm3.listen(function () {
+        // swarm3 learns about swarm2 from swarm1, through pex
+        swarm2.addPeer('127.0.0.1:' + swarm1.port)
+        swarm3.addPeer('127.0.0.1:' + swarm1.port)
+      })
+    })
+  })
+})
+
+test('relay answers rendezvous it cannot relay with an error', function (t) {
+  var swarm1 = new Swarm(infoHash, peerId1, { holepunch: true })
+  var swarm2 = new Swarm(infoHash, peerId2, { holepunch: true })
+
+  swarm1.listen(function () {
+    swarm2.listen(function () {
+      swarm2.addPeer('127.0.0.1:' + swarm1.port)
+    })
+  })
+
+  swarm2.on('wire', function (wire) {
+    var errors = []
+    wire.on('extended', function (ext, buf) {
+      if (ext !== 'ut_holepunch') return
+      errors.push(utHolepunch.decode(buf).err)
+      if (errors.length < 2) return
+      t.deepEqual(errors, [utHolepunch.ERR_NO_SUCH_PEER, utHolepunch.ERR_NO_SELF])
+      swarm2.destroy()
+      swarm1.destroy(function () { t.end() })
+    })
+    wire.once('extended', function (ext) {
+      t.equal(ext, 'handshake')
+      wire.ut_holepunch.rendezvous('10.0.0.1:6881')
+      wire.ut_holepunch.rendezvous('127.0.0.1:' + swarm2.port)
+    })
+  })
+})
+
+test('connects that we did not ask for are limited', function (t) {
+  var swarm = new Swarm(infoHash, peerId1, {
+    transport: natTransport(), holepunch: { maxPeers: 2 }
+  })
+  var dialed = []
+  swarm.on('peer-connecting', function (addr) { dialed.push(addr) })
+
+  function fakeRelay (addr) {
+    return { remoteAddress: addr, ut_holepunch: { lastUnsolicited: 0 } }
+  }
+  var relay1 = fakeRelay('127.0.0.1:1001')
+  var relay2 = fakeRelay('127.0.0.1:1002')
+  var relay3 = fakeRelay('127.0.0.1:1003')
+
+  swarm.listen(function () {
+    swarm._onHolepunchConnect(relay1, '127.0.0.1:2001')
+    swarm._onHolepunchConnect(relay1, '127.0.0.1:2002') // too soon
+    swarm._onHolepunchConnect(relay2, '127.0.0.1:2003')
+    swarm._onHolepunchConnect(relay3, '127.0.0.1:2004') // too many peers
+    t.deepEqual(dialed, ['127.0.0.1:2001', '127.0.0.1:2003'])
+
+    // The answer to a rendezvous we asked for is always dialed
+    swarm._rendezvous['127.0.0.1:2005'] = { relay: relay1, time: Date.now() }
+    swarm.importPeers([{ addr: '127.0.0.1:2005', retryAt: Date.now() + 60000 }])
+    swarm._onHolepunchConnect(relay1, '127.0.0.1:2005')
+    t.deepEqual(dialed.slice(2), ['127.0.0.1:2005'])
+    t.notOk(swarm._rendezvous['127.0.0.1:2005'], 'answer used up')
+
+    swarm.destroy(function () { t.end() })
+  })
+})
@@ -0,0 +1,51 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var portfinder = require('portfinder')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId3 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+test('swarms bound to different hosts share a port', function (t) {
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    var session = new Swarm.Session()
+    var swarm1 = new Swarm(infoHash, peerId1, { session: session, host: '127.0.0.1' })
+    var swarm2 = new Swarm(infoHash, peerId2, { session: session, host: '127.0.0.2' })
+    var swarm3 = new Swarm(infoHash, peerId3, { localAddress: '127.0.0.2' })
+
+    swarm1.listen(port, function () {
+      swarm2.listen(port, function () {
+        t.equal(Object.keys(session.pools).length, 2, 'one pool per host')
+        swarm3.addPeer('127.0.0.1:' + port)
+      })
+    })
+
+    swarm2.on('wire', function () {
+      t.fail('peer connected to the wrong host')
+    })
+    swarm1.on('wire', function () {
+      var addr = swarm1.getPeerStats()[0].addr
+      t.equal(addr.split(':')[0], '127.0.0.2', 'dialed from localAddress')
+      swarm3.destroy()
+      swarm2.destroy()
+      swarm1.destroy(function () { t.end() })
+    })
+  })
+})
+
+test('peers of another address family than localAddress are dropped', function (t) {
+  var swarm = new Swarm(infoHash, peerId1, { localAddress: '127.0.0.1' })
+  swarm.pause()
+  swarm.addPeer('[::1]:6881')
+  swarm.addPeer('127.0.0.1:6881')
+  t.deepEqual(swarm._queue.toArray().map(function (peer) {
+    return peer.addr
+  }), ['127.0.0.1:6881'])
+  swarm.destroy()
+  t.end()
+})
@@ -0,0 +1,111 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var net = require('net')
+var portfinder = require('portfinder')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId3 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+// Open `n` raw connections to `port`, and call back with how many of them
+// were closed by the other end
+function openConns (port, n, cb) {
+  var conns = []
+  var closed = 0
+  for (var i = 0; i < n; i++) {
+    var conn = net.connect(port, '127.0.0.1')
+    conn.on('error', function () {})
+    conn.on('close', function () { closed += 1 })
+    conns.push(conn)
+  }
+  setTimeout(function () {
+    conns.forEach(function (conn) { conn.destroy() })
+    cb(closed)
+  }, 500)
+}
+
+function listen (swarm, cb) {
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    swarm.listen(port, function () { cb(port) })
+  })
+}
+
+test('connections per ip are capped', function (t) {
+  Swarm.setIncomingLimits({ maxConnsPerIp: 2 })
+  var swarm = new Swarm(infoHash, peerId1)
+  listen(swarm, function (port) {
+    openConns(port, 4, function (closed) {
+      t.equal(closed, 2, 'connections over the cap were closed')
+      Swarm.setIncomingLimits({ maxConnsPerIp: 5 })
+      swarm.destroy()
+      t.end()
+    })
+  })
+})
+
+test('incoming connections are rate limited', function (t) {
+  Swarm.setIncomingLimits({ maxConnsPerIp: 100, handshakesPerSecond: 3 })
+  var swarm = new Swarm(infoHash, peerId1)
+  listen(swarm, function (port) {
+    openConns(port, 5, function (closed) {
+      t.equal(closed, 2, 'connections over the rate were closed')
+      Swarm.setIncomingLimits({ maxConnsPerIp: 5, handshakesPerSecond: 50 })
+      swarm.destroy()
+      t.end()
+    })
+  })
+})
+
+test('maxIncoming refuses peers when no wire can be evicted', function (t) {
+  var swarm1 = new Swarm(infoHash, peerId1, { maxIncoming: 1 })
+  var swarm2 = new Swarm(infoHash, peerId2)
+  var swarm3 = new Swarm(infoHash, peerId3)
+
+  listen(swarm1, function (port) {
+    swarm2.addPeer('127.0.0.1:' + port)
+    swarm2.once('wire', function () {
+      swarm3.addPeer('127.0.0.1:' + port)
+      swarm3.once('peer-connect-failed', function () {
+        t.equal(swarm1.wires.length, 1)
+        t.equal(swarm1.numIncoming, 1)
+        t.equal(swarm1.wires[0].peerId.toString('hex'), peerId2)
+        swarm1.destroy()
+        swarm2.destroy()
+        swarm3.destroy()
+        t.end()
+      })
+    })
+  })
+})
+
+test('least useful wire is evicted for a new incoming peer', function (t) {
+  var swarm1 = new Swarm(infoHash, peerId1, { maxIncoming: 1 })
+  var swarm2 = new Swarm(infoHash, peerId2)
+  var swarm3 = new Swarm(infoHash, peerId3)
+
+  listen(swarm1, function (port) {
+    swarm1.once('peer-removed', function (addr, info) {
+      t.equal(info.reason, 'evicted')
+    })
+    swarm1.on('wire', function (wire) {
+      if (wire.peerId.toString('hex') === peerId2) {
+        // pretend the wire is old enough to be evicted
+        swarm1._peersById[peerId2].lastConnected -= 60000
+        swarm3.addPeer('127.0.0.1:' + port)
+      } else {
+        t.equal(wire.peerId.toString('hex'), peerId3, 'new peer accepted')
+        t.equal(swarm1.wires.length, 1)
+        swarm1.destroy()
+        swarm2.destroy()
+        swarm3.destroy()
+        t.end()
+      }
+    })
+    swarm2.addPeer('127.0.0.1:' + port)
+  })
+})
@@ -0,0 +1,90 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var portfinder = require('portfinder')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+test('swarm join over IPv6', function (t) {
+  t.plan(4)
+
+  var swarm1 = new Swarm(infoHash, peerId1)
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    swarm1.listen(port, function () {
+      var swarm2 = new Swarm(infoHash, peerId2)
+      var pending = 2
+      function done () {
+        if (--pending > 0) return
+        swarm1.destroy()
+        swarm2.destroy()
+      }
+
+      swarm1.on('wire', function (wire) {
+        t.ok(/^\[::1\]:\d{1,5}$/.test(wire.remoteAddress), 'incoming address in brackets')
+        t.equal(wire.peerId.toString('hex'), peerId2)
+        done()
+      })
+      swarm2.on('wire', function (wire) {
+        t.equal(wire.remoteAddress, '[::1]:' + port)
+        t.equal(wire.peerId.toString('hex'), peerId1)
+        done()
+      })
+
+      swarm2.addPeer('[::1]:' + port)
+    })
+  })
+})
+
+test('IPv4 peers of a dual-stack pool get plain IPv4 addresses', function (t) {
+  t.plan(1)
+
+  var swarm1 = new Swarm(infoHash, peerId1)
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    swarm1.listen(port, function () {
+      var swarm2 = new Swarm(infoHash, peerId2)
+      swarm1.on('wire', function (wire) {
+        t.ok(/^127\.0\.0\.1:\d{1,5}$/.test(wire.remoteAddress))
+        swarm1.destroy()
+        swarm2.destroy()
+      })
+      swarm2.addPeer('127.0.0.1:' + port)
+    })
+  })
+})
+
+test('addPeer normalizes and validates addresses', function (t) {
+  var swarm = new Swarm(infoHash, peerId1)
+  swarm.pause()
+
+  swarm.addPeer('[::ffff:1.2.3.4]:6881')
+  swarm.addPeer('1.2.3.4:6881')
+  swarm.addPeer('[2001:db8::1]:6881')
+  swarm.addPeer('2001:db8::1:6881')
+  swarm.addPeer('[not-an-ip]:6881')
+
+  t.deepEqual(Object.keys(swarm._peers), ['1.2.3.4:6881', '[2001:db8::1]:6881'])
+  swarm.destroy()
+  t.end()
+})
+
+test('do not connect to self over IPv6 or local interfaces', function (t) {
+  var swarm = new Swarm(infoHash, peerId1)
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    swarm.listen(port, function () {
+      swarm.addPeer('[::1]:' + port)
+      swarm.addPeer('127.0.0.1:' + port)
+      swarm.addPeer('0.0.0.0:' + port)
+      t.equal(swarm.numQueued, 0, 'no peers queued')
+      t.equal(Object.keys(swarm._peers).length, 0)
+      swarm.destroy()
+      t.end()
+    })
+  })
+})
@@ -0,0 +1,122 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var net = require('net')
+var portfinder = require('portfinder')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId3 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+test('swarms are created on demand for incoming peers', function (t) {
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    var calls = 0
+    var created = null
+
+    var pool = Swarm.createPool(port, {
+      idleTimeout: 0,
+      onUnknownInfoHash: function (hash, peerId, cb) {
+        calls += 1
+        t.equal(hash, infoHash)
+        t.ok(peerId === peerId2 || peerId === peerId3)
+        setTimeout(function () {
+          created = new Swarm(hash, peerId1)
+          cb(null, created)
+        }, 50)
+      }
+    })
+
+    var swarm2 = new Swarm(infoHash, peerId2)
+    var swarm3 = new Swarm(infoHash, peerId3)
+    var wires = 0
+    function onwire () {
+      wires += 1
+      if (wires < 2) return
+      t.equal(calls, 1, 'swarm created once')
+      t.equal(created.wires.length, 2)
+      t.equal(created.port, port)
+      swarm2.destroy()
+      swarm3.destroy()
+      created.destroy(function () {
+        pool.close(function () { t.end() })
+      })
+    }
+    swarm2.on('wire', onwire)
+    swarm3.on('wire', onwire)
+    swarm2.addPeer('127.0.0.1:' + port)
+    swarm3.addPeer('127.0.0.1:' + port)
+  })
+})
+
+test('peers are refused when no swarm is created', function (t) {
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    var pool = Swarm.createPool(port, {
+      onUnknownInfoHash: function (hash, peerId, cb) {
+        cb(null, null)
+      }
+    })
+
+    var swarm2 = new Swarm(infoHash, peerId2)
+    swarm2.on('wire', function () {
+      t.fail('should be refused')
+    })
+    swarm2.once('peer-connect-failed', function () {
+      t.pass('refused')
+      swarm2.destroy()
+      pool.close(function () { t.end() })
+    })
+    swarm2.addPeer('127.0.0.1:' + port)
+  })
+})
+
+test('idle swarms created on demand are unloaded', function (t) {
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    var pool = Swarm.createPool(port, {
+      idleTimeout: 100,
+      onUnknownInfoHash: function (hash, peerId, cb) {
+        var swarm = new Swarm(hash, peerId1)
+        swarm.on('close', function () {
+          t.pass('idle swarm unloaded')
+          t.ok(pool.server.address(), 'pool still listening')
+          pool.close(function () { t.end() })
+        })
+        cb(null, swarm)
+      }
+    })
+
+    var swarm2 = new Swarm(infoHash, peerId2)
+    swarm2.once('wire', function () {
+      swarm2.destroy()
+    })
+    swarm2.addPeer('127.0.0.1:' + port)
+  })
+})
+
+test('pool that cannot listen emits error and frees its port', function (t) {
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    var session = new Swarm.Session()
+    var server = net.createServer().listen(port, function () {
+      var pool = session.createPool(port, {
+        onUnknownInfoHash: function (hash, peerId, cb) { cb(null, null) }
+      })
+      pool.on('error', function (err) {
+        t.equal(err.code, 'EADDRINUSE')
+        t.equal(Object.keys(session.pools).length, 0, 'pool removed')
+        server.close(function () {
+          var swarm = new Swarm(infoHash, peerId1, { session: session })
+          swarm.listen(port, function () {
+            t.pass('swarm listens on the port')
+            swarm.destroy(function () { t.end() })
+          })
+        })
+      })
+    })
+  })
+})
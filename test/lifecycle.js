@@ -0,0 +1,79 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var portfinder = require('portfinder')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+test('failed dials are retried with backoff', function (t) {
+  t.plan(10)
+
+  // nothing listens on this port
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    var addr = '127.0.0.1:' + port
+    var swarm = new Swarm(infoHash, peerId1)
+
+    swarm.once('peer-connecting', function (peerAddr, info) {
+      t.equal(peerAddr, addr)
+      t.equal(info.retries, 0)
+    })
+    swarm.once('peer-connect-failed', function (peerAddr, info) {
+      t.equal(peerAddr, addr)
+      t.ok(/ECONNREFUSED/.test(info.reason), 'reason is the dial error')
+      t.equal(info.connected, false)
+    })
+    swarm.once('peer-reconnect-scheduled', function (peerAddr, info) {
+      t.equal(peerAddr, addr)
+      t.equal(info.wait, 1000)
+      t.equal(info.retries, 1)
+      t.equal(swarm.getPeerStats()[0].state, 'backoff')
+
+      swarm.on('peer-removed', function (peerAddr, info) {
+        t.deepEqual([peerAddr, info], [addr, { reason: 'removed' }])
+        swarm.destroy()
+      })
+      swarm.removePeer(addr)
+    })
+
+    swarm.addPeer(addr)
+  })
+})
+
+test('peer with our own peer id is removed', function (t) {
+  t.plan(2)
+
+  var swarm1 = new Swarm(infoHash, peerId1)
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    swarm1.listen(port, function () {
+      var swarm2 = new Swarm(infoHash, peerId1)
+      swarm2.on('wire', function () {
+        t.fail('should not connect to ourselves')
+      })
+      swarm2.on('peer-removed', function (addr, info) {
+        t.equal(addr, '127.0.0.1:' + port)
+        t.equal(info.reason, 'self')
+        swarm1.destroy()
+        swarm2.destroy()
+      })
+      swarm2.addPeer('127.0.0.1:' + port)
+    })
+  })
+})
+
+test('no peer-removed events when the swarm is destroyed', function (t) {
+  var swarm = new Swarm(infoHash, peerId2)
+  swarm.pause()
+  swarm.addPeer('1.1.1.1:6881')
+  swarm.on('peer-removed', function () {
+    t.fail('unexpected peer-removed')
+  })
+  swarm.destroy()
+  t.pass('destroyed')
+  t.end()
+})
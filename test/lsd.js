@@ -0,0 +1,110 @@
+require('./helpers/netSwitch')
+
+var EventEmitter = require('events').EventEmitter
+var hat = require('hat')
+var Lsd = require('../lib/lsd')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var infoHash2 = 'a2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+// In-memory stand-in for the multicast group, so tests don't announce on the
+// local network. Returns a `createSocket` function for Lsd.
+function fakeMulticast () {
+  var sockets = []
+  return function createSocket () {
+    var socket = new EventEmitter()
+    socket.bind = function (port, cb) {
+      sockets.push(socket)
+      process.nextTick(cb)
+    }
+    socket.addMembership = function () {}
+    socket.setMulticastLoopback = function () {}
+    socket.send = function (buf, offset, length, port, host, cb) {
+      var msg = buf.slice(offset, offset + length)
+      sockets.forEach(function (s) {
+        process.nextTick(function () {
+          s.emit('message', msg, { address: '127.0.0.1', port: port })
+        })
+      })
+      process.nextTick(cb)
+    }
+    socket.close = function (cb) {
+      sockets.splice(sockets.indexOf(socket), 1)
+      if (cb) process.nextTick(cb)
+    }
+    return socket
+  }
+}
+
+test('lsd announce encoding', function (t) {
+  var buf = Lsd.encode(6881, [infoHash, infoHash2], 'abc')
+  t.ok(/^BT-SEARCH \* HTTP\/1\.1\r\n/.test(buf.toString()))
+  t.deepEqual(Lsd.decode(buf), {
+    port: 6881,
+    infoHashes: [infoHash, infoHash2],
+    cookie: 'abc'
+  })
+  t.equal(Lsd.decode(new Buffer('NOTIFY * HTTP/1.1\r\n\r\n')), null)
+  t.equal(Lsd.decode(Lsd.encode(0, [infoHash], 'abc')), null, 'invalid port')
+  t.end()
+})
+
+test('lsd ignores its own announces and rate limits', function (t) {
+  var lsd = new Lsd({ createSocket: fakeMulticast() })
+  var added = []
+  var swarm = {
+    infoHashHex: infoHash,
+    port: 6881,
+    listening: true,
+    addPeer: function (addr, opts) { added.push([addr, opts.source]) }
+  }
+  lsd.add(swarm)
+
+  var rinfo = { address: '192.168.1.5' }
+  lsd._onmessage(Lsd.encode(6882, [infoHash], lsd.cookie), rinfo)
+  t.equal(added.length, 0, 'own announce ignored')
+  lsd._onmessage(Lsd.encode(6882, [infoHash2], 'other'), rinfo)
+  t.equal(added.length, 0, 'other infoHash ignored')
+  lsd._onmessage(Lsd.encode(6882, [infoHash], 'other'), rinfo)
+  t.deepEqual(added, [['192.168.1.5:6882', 'lsd']])
+
+  var sent = 0
+  lsd._socket.send = function () { sent += 1 }
+  lsd._bound = true
+  lsd._lastAnnounce = {}
+  lsd.announce(swarm)
+  lsd.announce(swarm)
+  t.equal(sent, 1, 'announced once a minute')
+  swarm.port = 6883
+  lsd.announce(swarm)
+  t.equal(sent, 2, 'announced again after a port change')
+
+  lsd.destroy(function () { t.end() })
+})
+
+test('swarms find each other with lsd', function (t) {
+  var createSocket = fakeMulticast()
+  var session1 = new Swarm.Session({ lsd: { createSocket: createSocket } })
+  var session2 = new Swarm.Session({ lsd: { createSocket: createSocket } })
+  var swarm1 = new Swarm(infoHash, peerId1, { session: session1, lsd: true })
+  var swarm2 = new Swarm(infoHash, peerId2, { session: session2, lsd: true })
+  swarm2.pause() // so only swarm1 dials, when it hears swarm2's announce
+
+  swarm1.on('wire', function () {
+    t.equal(swarm1.getPeerStats()[0].source, 'lsd')
+    swarm2.destroy()
+    swarm1.destroy(function () {
+      t.equal(session1._lsd, null, 'lsd stopped with the last swarm')
+      t.end()
+    })
+  })
+
+  swarm1.listen(function () {
+    // give swarm1 time to join the multicast group
+    setTimeout(function () { swarm2.listen() }, 200)
+  })
+})
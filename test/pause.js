@@ -0,0 +1,145 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var portfinder = require('portfinder')
+var Swarm = require('../')
+var test = require('tape')
+var throttle = require('../lib/throttle')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId3 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+// Connect two swarms, and call back with swarm2's wire
+function connect (opts, cb) {
+  var swarm1 = new Swarm(infoHash, peerId1, opts)
+  var swarm2 = new Swarm(infoHash, peerId2)
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    swarm1.listen(port, function () {
+      swarm2.once('wire', function (wire) {
+        cb(swarm1, swarm2, wire, port)
+      })
+      swarm2.addPeer('127.0.0.1:' + port)
+    })
+  })
+}
+
+test('paused throttle grants nothing until resumed', function (t) {
+  var bucket = new throttle.Throttle()
+  var granted = false
+  bucket.pause()
+  bucket.request(100, function (n) {
+    granted = true
+    t.equal(n, 100)
+  })
+  setTimeout(function () {
+    t.notOk(granted, 'nothing granted while paused')
+    bucket.resume()
+    t.ok(granted, 'granted on resume')
+    t.end()
+  }, 100)
+})
+
+test('full pause stops the traffic of existing wires', function (t) {
+  connect({}, function (swarm1, swarm2, wire) {
+    swarm1.pause({ mode: 'full' })
+
+    var block = new Buffer(16384)
+    block.fill(0)
+    wire.piece(0, 0, block)
+
+    setTimeout(function () {
+      t.equal(swarm1.downloaded, 0, 'nothing downloaded while paused')
+      swarm1.once('download', function () {
+        t.equal(swarm1.downloaded, 16384, 'downloaded after resume')
+        swarm1.destroy()
+        swarm2.destroy()
+        t.end()
+      })
+      swarm1.resume()
+    }, 300)
+  })
+})
+
+test('full pause refuses incoming peers', function (t) {
+  var swarm1 = new Swarm(infoHash, peerId1)
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    swarm1.listen(port, function () {
+      swarm1.pause({ mode: 'full' })
+      var swarm2 = new Swarm(infoHash, peerId2)
+      swarm2.on('wire', function () {
+        t.fail('should not connect while paused')
+      })
+      swarm2.once('peer-connect-failed', function () {
+        t.equal(swarm1.wires.length, 0)
+        swarm1.destroy()
+        swarm2.destroy()
+        t.end()
+      })
+      swarm2.addPeer('127.0.0.1:' + port)
+    })
+  })
+})
+
+test('full pause can disconnect peers, and resume reconnects them', function (t) {
+  connect({}, function (swarm1, swarm2, wire, port) {
+    swarm2.on('peer-reconnect-scheduled', function () {
+      t.fail('disconnected peers should not back off')
+    })
+    swarm2.pause({ mode: 'full', disconnect: true })
+
+    setTimeout(function () {
+      t.equal(swarm2.wires.length, 0, 'disconnected')
+      t.equal(swarm2.numConns, 0)
+      var stats = swarm2.getPeerStats()
+      t.equal(stats.length, 1)
+      t.equal(stats[0].addr, '127.0.0.1:' + port)
+      t.equal(stats[0].state, 'queued', 'peer kept in the queue')
+
+      swarm2.once('wire', function () {
+        t.pass('reconnected on resume')
+        swarm1.destroy()
+        swarm2.destroy()
+        t.end()
+      })
+      swarm2.resume()
+    }, 300)
+  })
+})
+
+test('resume reconnects every disconnected peer', function (t) {
+  var swarm1 = new Swarm(infoHash, peerId1)
+  var swarm2 = new Swarm(infoHash, peerId2)
+  var swarm3 = new Swarm(infoHash, peerId3)
+
+  function onwires (swarm, n, cb) {
+    swarm.on('wire', function onwire () {
+      if (swarm.wires.length < n) return
+      swarm.removeListener('wire', onwire)
+      cb()
+    })
+  }
+
+  swarm1.listen(function () {
+    swarm3.listen(function () {
+      onwires(swarm2, 2, function () {
+        swarm2.pause({ mode: 'full', disconnect: true })
+        setTimeout(function () {
+          t.equal(swarm2.numConns, 0, 'disconnected')
+          onwires(swarm2, 2, function () {
+            t.pass('both peers reconnected')
+            swarm1.destroy()
+            swarm2.destroy()
+            swarm3.destroy(function () { t.end() })
+          })
+          swarm2.resume()
+        }, 300)
+      })
+      swarm2.addPeer('127.0.0.1:' + swarm1.port)
+      swarm2.addPeer('127.0.0.1:' + swarm3.port)
+    })
+  })
+})
@@ -0,0 +1,110 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var peerPriority = require('../lib/peer-priority')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+function queued (swarm) {
+  return swarm._queue.toArray().map(function (peer) {
+    return peer.addr
+  })
+}
+
+test('BEP 40 peer priority', function (t) {
+  t.equal(peerPriority('123.213.32.10:1', '98.76.54.32:1'), 0xec2d7224)
+  t.equal(peerPriority('98.76.54.32:1', '123.213.32.10:1'), 0xec2d7224, 'symmetric')
+  t.equal(peerPriority('123.213.32.10:1', '123.213.32.234:1'), 0x99568189)
+  t.equal(peerPriority('1.2.3.4:80', '1.2.3.4:81'), peerPriority('1.2.3.4:81', '1.2.3.4:80'))
+  t.ok(peerPriority('[2001:db8::1]:80', '[2001:db9::1]:80') > 0, 'IPv6')
+  t.equal(peerPriority('1.2.3.4:80', '[2001:db8::1]:80'), 0, 'mixed families')
+  t.end()
+})
+
+test('PeerQueue orders by score, then by insertion', function (t) {
+  var queue = new Swarm.PeerQueue(function (peer) { return peer.score })
+  queue.push({ addr: 'a', score: 1 })
+  queue.push({ addr: 'b', score: 5 })
+  queue.push({ addr: 'c', score: 1 })
+  var d = { addr: 'd', score: 3 }
+  queue.push(d)
+  t.equal(queue.length, 4)
+
+  d.score = 0
+  queue.push(d) // re-queue with new score
+  t.equal(queue.length, 4)
+
+  t.ok(queue.remove(queue.toArray()[0]))
+  t.equal(queue.shift().addr, 'a')
+  t.equal(queue.shift().addr, 'c')
+  t.equal(queue.shift().addr, 'd')
+  t.equal(queue.shift(), undefined)
+  t.end()
+})
+
+test('addPeer queues by priority hint and source', function (t) {
+  var swarm = new Swarm(infoHash, peerId)
+  swarm.pause()
+  swarm.addPeer('1.1.1.1:6881', { source: 'pex' })
+  swarm.addPeer('2.2.2.2:6881', { source: 'tracker' })
+  swarm.addPeer('3.3.3.3:6881')
+  swarm.addPeer('4.4.4.4:6881', { priority: 10, source: 'pex' })
+  swarm.addPeer('5.5.5.5:6881', { source: 'dht' })
+
+  t.deepEqual(queued(swarm), [
+    '4.4.4.4:6881', '3.3.3.3:6881', '2.2.2.2:6881', '5.5.5.5:6881', '1.1.1.1:6881'
+  ])
+  swarm.destroy()
+  t.end()
+})
+
+test('peers that failed before rank lower', function (t) {
+  var swarm = new Swarm(infoHash, peerId)
+  swarm.pause()
+  swarm.addPeer('1.1.1.1:6881')
+  swarm.addPeer('2.2.2.2:6881')
+
+  var peer = swarm._peers['1.1.1.1:6881']
+  peer.failures = 2
+  swarm._queue.push(peer)
+  t.deepEqual(queued(swarm), ['2.2.2.2:6881', '1.1.1.1:6881'])
+
+  peer.failures = 0
+  peer.successes = 1
+  swarm._queue.push(peer)
+  t.deepEqual(queued(swarm), ['1.1.1.1:6881', '2.2.2.2:6881'])
+  swarm.destroy()
+  t.end()
+})
+
+test('BEP 40 breaks ties when external ip is known', function (t) {
+  var swarm = new Swarm(infoHash, peerId, { externalIp: '123.213.32.10' })
+  swarm.pause()
+  swarm.addPeer('98.76.54.32:1')
+  swarm.addPeer('123.213.32.234:1')
+  swarm.port = 1
+
+  var order = ['98.76.54.32:1', '123.213.32.234:1'].sort(function (a, b) {
+    return peerPriority('123.213.32.10:1', b) - peerPriority('123.213.32.10:1', a)
+  })
+  swarm._queue.push(swarm._peers['98.76.54.32:1'])
+  swarm._queue.push(swarm._peers['123.213.32.234:1'])
+  t.deepEqual(queued(swarm), order)
+  swarm.destroy()
+  t.end()
+})
+
+test('custom peerScore', function (t) {
+  var swarm = new Swarm(infoHash, peerId, {
+    peerScore: function (peer) { return peer.addr === '1.1.1.1:6881' ? 1 : 0 }
+  })
+  swarm.pause()
+  swarm.addPeer('2.2.2.2:6881')
+  swarm.addPeer('1.1.1.1:6881')
+  t.deepEqual(queued(swarm), ['1.1.1.1:6881', '2.2.2.2:6881'])
+  swarm.destroy()
+  t.end()
+})
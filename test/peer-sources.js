@@ -0,0 +1,97 @@
+require('./helpers/netSwitch')
+
+var EventEmitter = require('events').EventEmitter
+var hat = require('hat')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var otherInfoHash = '0000000000000000000000000000000000000001'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+function createSource (name) {
+  var source = new EventEmitter()
+  source.name = name
+  source.calls = []
+  ;['start', 'stop', 'destroy'].forEach(function (method) {
+    source[method] = function () { source.calls.push(method) }
+  })
+  return source
+}
+
+test('peer sources are started, stopped and destroyed with the swarm', function (t) {
+  var swarm = new Swarm(infoHash, peerId1)
+  var source = createSource('tracker')
+  swarm.addPeerSource(source)
+  t.deepEqual(source.calls, [], 'not started before listening')
+
+  swarm.listen(function () {
+    t.deepEqual(source.calls, ['start'])
+    swarm.pause()
+    swarm.resume()
+    t.deepEqual(source.calls, ['start', 'stop', 'start'])
+
+    swarm.destroy(function () {
+      t.deepEqual(source.calls, ['start', 'stop', 'start', 'destroy'])
+      t.equal(source.listeners('peer').length, 0, 'listener removed')
+      t.end()
+    })
+  })
+})
+
+test('peers are tagged with their source', function (t) {
+  var swarm = new Swarm(infoHash, peerId1)
+  var dht = createSource('dht')
+  var other = new EventEmitter()
+  swarm.pause()
+  swarm.addPeerSource(dht)
+  swarm.addPeerSource(other, { name: 'custom', priority: 5 })
+
+  dht.emit('peer', '10.0.0.1:6881', infoHash)
+  dht.emit('peer', '10.0.0.2:6881', otherInfoHash)
+  other.emit('peer', '10.0.0.3:6881')
+
+  var sources = {}
+  swarm._queue.toArray().forEach(function (peer) {
+    sources[peer.addr] = peer.source + '/' + peer.priority
+  })
+  t.deepEqual(sources, {
+    '10.0.0.1:6881': 'dht/0',
+    '10.0.0.3:6881': 'custom/5'
+  }, 'peers of other infoHashes ignored')
+
+  swarm.removePeerSource(other)
+  other.emit('peer', '10.0.0.4:6881')
+  t.equal(swarm._queue.length, 2, 'removed source ignored')
+  swarm.destroy()
+  t.end()
+})
+
+test('source stats', function (t) {
+  var swarm1 = new Swarm(infoHash, peerId1)
+  var swarm2 = new Swarm(infoHash, peerId2)
+  var tracker = createSource('tracker')
+  swarm2.addPeerSource(tracker)
+
+  swarm2.once('peer-connect-failed', function () {
+    swarm1.listen(function () {
+      tracker.emit('peer', '127.0.0.1:' + swarm1.port)
+    })
+  })
+  swarm2.on('wire', function () {
+    var stats = swarm2.getSourceStats().tracker
+    t.equal(stats.peers, 2)
+    t.equal(stats.connected, 1)
+    t.equal(stats.successes, 1)
+    t.equal(stats.failures, 1)
+    t.equal(stats.successRate, 0.5)
+    t.equal(swarm1.getSourceStats().incoming.successes, 1)
+    swarm2.destroy()
+    swarm1.destroy(function () { t.end() })
+  })
+
+  swarm2.listen(function () {
+    tracker.emit('peer', '127.0.0.1:1') // nothing listens there
+  })
+})
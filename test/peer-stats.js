@@ -0,0 +1,75 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var portfinder = require('portfinder')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+test('getPeerStats of queued and backing off peers', function (t) {
+  var swarm = new Swarm(infoHash, peerId1)
+  swarm.pause()
+  swarm.addPeer('1.1.1.1:6881', { source: 'tracker' })
+  swarm.importPeers([{ addr: '2.2.2.2:6881', retries: 1, retryAt: Date.now() + 60000 }])
+
+  var stats = swarm.getPeerStats()
+  t.equal(stats.length, 2)
+  t.deepEqual(stats[0], {
+    addr: '1.1.1.1:6881',
+    peerId: null,
+    state: 'queued',
+    direction: 'outgoing',
+    source: 'tracker',
+    downloaded: 0,
+    uploaded: 0,
+    downloadSpeed: 0,
+    uploadSpeed: 0,
+    duration: 0,
+    retries: 0,
+    extensions: []
+  })
+  t.equal(stats[1].state, 'backoff')
+  t.equal(stats[1].retries, 1)
+
+  swarm.destroy()
+  t.end()
+})
+
+test('getPeerStats of connected peers', function (t) {
+  t.plan(12)
+
+  var swarm1 = new Swarm(infoHash, peerId1)
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    swarm1.listen(port, function () {
+      var swarm2 = new Swarm(infoHash, peerId2)
+      swarm2.addPeer('127.0.0.1:' + port)
+      t.equal(swarm2.getPeerStats()[0].state, 'connecting')
+
+      swarm2.on('wire', function () {
+        setTimeout(function () {
+          var outgoing = swarm2.getPeerStats()
+          t.equal(outgoing.length, 1)
+          t.equal(outgoing[0].state, 'connected')
+          t.equal(outgoing[0].direction, 'outgoing')
+          t.equal(outgoing[0].peerId, peerId1)
+          t.ok(outgoing[0].duration >= 0)
+          t.equal(typeof outgoing[0].downloadSpeed, 'number')
+
+          var incoming = swarm1.getPeerStats()
+          t.equal(incoming.length, 1)
+          t.equal(incoming[0].state, 'connected')
+          t.equal(incoming[0].direction, 'incoming')
+          t.equal(incoming[0].source, 'incoming')
+          t.equal(incoming[0].peerId, peerId2)
+
+          swarm1.destroy()
+          swarm2.destroy()
+        }, 50)
+      })
+    })
+  })
+})
@@ -0,0 +1,140 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var Swarm = require('../')
+var test = require('tape')
+var utPex = require('../lib/ut-pex')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId3 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+test('pex message encoding', function (t) {
+  var buf = utPex.encode([
+    { addr: '1.2.3.4:6881', encrypted: true },
+    { addr: '[2001:db8::1]:51413', encrypted: false }
+  ], ['5.6.7.8:1', '[::1]:2', '[1:0:0:2::3]:3'])
+
+  t.deepEqual(utPex.decode(buf), {
+    added: [
+      { addr: '1.2.3.4:6881', flags: utPex.FLAG_CONNECTABLE | utPex.FLAG_ENCRYPTION },
+      { addr: '[2001:db8::1]:51413', flags: utPex.FLAG_CONNECTABLE }
+    ],
+    dropped: ['5.6.7.8:1', '[::1]:2', '[1:0:0:2::3]:3']
+  }, 'longest run of zero groups shortened')
+  t.end()
+})
+
+test('pex messages are rate limited and capped', function (t) {
+  var received = []
+  var UtPex = utPex({
+    interval: 1000,
+    peers: function () { return [] },
+    onPeer: function (addr) { received.push(addr) }
+  })
+  var pex = new UtPex({})
+
+  var added = []
+  for (var i = 0; i < 60; i++) added.push({ addr: '10.0.0.' + i + ':6881' })
+  pex.onMessage(utPex.encode(added, []))
+  t.equal(received.length, 50, 'at most 50 peers per message')
+
+  pex.onMessage(utPex.encode([{ addr: '10.0.1.1:6881' }], []))
+  t.equal(received.length, 50, 'message that came too soon ignored')
+  t.end()
+})
+
+test('pex messages are sent at most once per interval', function (t) {
+  var peers = [{ addr: '10.0.0.1:6881' }]
+  var received = []
+  var Receiver = utPex({
+    interval: 100,
+    peers: function () { return [] },
+    onPeer: function (addr) { received.push(addr) }
+  })
+  var receiver = new Receiver({})
+  var Sender = utPex({
+    interval: 100,
+    peers: function () { return peers },
+    onPeer: function () {}
+  })
+  var sent = 0
+  var sender = new Sender({
+    extended: function (name, buf) {
+      sent += 1
+      receiver.onMessage(buf)
+    }
+  })
+
+  sender.onExtendedHandshake({ m: { ut_pex: 1 } })
+  t.equal(sent, 1, 'first message sent at the handshake')
+
+  peers.push({ addr: '10.0.0.2:6881' })
+  sender.update()
+  t.equal(sent, 1, 'too soon for another message')
+
+  setTimeout(function () {
+    sender.update()
+    t.equal(sent, 2)
+    t.deepEqual(received, ['10.0.0.1:6881', '10.0.0.2:6881'], 'delayed peer sent')
+    t.end()
+  }, 110)
+})
+
+test('swarms exchange peers', function (t) {
+  var opts = { pex: { interval: 100 } }
+  var swarm1 = new Swarm(infoHash, peerId1, opts)
+  var swarm2 = new Swarm(infoHash, peerId2, opts)
+  var swarm3 = new Swarm(infoHash, peerId3, opts)
+
+  swarm2.on('wire', function (wire) {
+    if (wire.peerId.toString('hex') !== peerId3) return
+    var stats = swarm2.getPeerStats().filter(function (peer) {
+      return peer.peerId === peerId3
+    })
+    t.equal(stats[0].source, 'pex', 'learned about swarm3 from swarm1')
+    swarm3.destroy()
+    swarm2.destroy()
+    swarm1.destroy(function () { t.end() })
+  })
+
+  swarm1.listen(function () {
+    swarm2.listen(function () {
+      swarm3.listen(function () {
+        // swarm1 only knows swarm2 and swarm3 as incoming peers
+        swarm2.addPeer('127.0.0.1:' + swarm1.port)
+        swarm3.addPeer('127.0.0.1:' + swarm1.port)
+        swarm3.pause() // so that swarm2 dials swarm3, and not the other way
+      })
+    })
+  })
+})
+
+test('pex is off by default', function (t) {
+  var swarm1 = new Swarm(infoHash, peerId1)
+  var swarm2 = new Swarm(infoHash, peerId2, { pex: true })
+
+  swarm2.on('wire', function (wire) {
+    t.ok(wire.ut_pex, 'extension registered')
+    t.notOk(wire.ut_pex.supported, 'peer without pex')
+    swarm2.destroy()
+    swarm1.destroy(function () { t.end() })
+  })
+
+  swarm1.listen(function () {
+    swarm2.addPeer('127.0.0.1:' + swarm1.port)
+  })
+})
+
+test('peers learned through pex are capped', function (t) {
+  var swarm = new Swarm(infoHash, peerId1, { pex: { maxPeers: 2 } })
+  swarm.pause()
+  swarm._onPexPeer('10.0.0.1:6881')
+  swarm._onPexPeer('10.0.0.2:6881')
+  swarm._onPexPeer('10.0.0.3:6881')
+  swarm.addPeer('10.0.0.4:6881')
+  t.equal(swarm._queue.length, 3, 'third pex peer ignored')
+  swarm.destroy()
+  t.end()
+})
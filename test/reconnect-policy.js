@@ -0,0 +1,90 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var portfinder = require('portfinder')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var policies = Swarm.reconnectPolicy
+
+test('default policy keeps the fixed schedule', function (t) {
+  var policy = policies.DEFAULT
+  t.equal(policy.handshakeTimeout, 25000)
+  var waits = []
+  for (var i = 0; i < 9; i++) waits.push(policy.retryDelay(null, 'test', i))
+  t.deepEqual(waits, [1000, 5000, 15000, 30000, 60000, 120000, 300000, 600000, null])
+  t.end()
+})
+
+test('exponential policy with jitter', function (t) {
+  var policy = policies.exponential({ initial: 100, max: 1000, jitter: 0.5, retries: 5 })
+  for (var i = 0; i < 5; i++) {
+    var base = Math.min(1000, 100 * Math.pow(2, i))
+    var wait = policy.retryDelay(null, 'test', i)
+    t.ok(wait >= base * 0.5 && wait <= Math.min(1000, base * 1.5), 'retry ' + i + ' within jitter')
+  }
+  t.equal(policy.retryDelay(null, 'test', 5), null, 'gives up')
+
+  var exact = policies.exponential({ initial: 100, jitter: 0 })
+  t.deepEqual([0, 1, 2].map(function (i) { return exact.retryDelay(null, 'test', i) }), [100, 200, 400])
+  t.end()
+})
+
+test('forever policy never gives up', function (t) {
+  var policy = policies.forever({ max: 5000, retries: 3, handshakeTimeout: 1000 })
+  t.equal(policy.handshakeTimeout, 1000)
+  t.ok(policy.retryDelay(null, 'test', 1000) <= 5000)
+  t.end()
+})
+
+test('swarm asks its policy when to retry and gives up', function (t) {
+  t.plan(7)
+
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    var addr = '127.0.0.1:' + port
+    var calls = []
+    var swarm = new Swarm(infoHash, peerId, {
+      reconnectPolicy: {
+        handshakeTimeout: 1000,
+        retryDelay: function (peer, reason, retries) {
+          calls.push(retries)
+          t.equal(peer.addr, addr)
+          t.ok(reason, 'reason given')
+          return retries < 1 ? 10 : null
+        }
+      }
+    })
+
+    swarm.on('peer-reconnect-scheduled', function (peerAddr, info) {
+      t.equal(info.wait, 10)
+    })
+    swarm.on('peer-removed', function (peerAddr, info) {
+      t.equal(info.reason, 'retries exhausted')
+      t.deepEqual(calls, [0, 1])
+      swarm.destroy()
+    })
+    swarm.addPeer(addr)
+  })
+})
+
+test('handshake timeout comes from the policy', function (t) {
+  t.plan(2)
+
+  var server = require('net').createServer(function () {}) // never handshakes
+  server.listen(0, function () {
+    var swarm = new Swarm(infoHash, peerId, {
+      reconnectPolicy: policies.schedule([], { handshakeTimeout: 100 })
+    })
+    var start = Date.now()
+    swarm.on('peer-handshake-timeout', function (addr, info) {
+      t.equal(info.timeout, 100)
+      t.ok(Date.now() - start < 5000, 'timed out early')
+      swarm.destroy()
+      server.close()
+    })
+    swarm.addPeer('127.0.0.1:' + server.address().port)
+  })
+})
@@ -0,0 +1,106 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var net = require('net')
+var portfinder = require('portfinder')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId3 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+test('relisten keeps wires and accepts peers on the new port', function (t) {
+  var swarm1 = new Swarm(infoHash, peerId1)
+  var swarm2 = new Swarm(infoHash, peerId2)
+  var swarm3 = new Swarm(infoHash, peerId3)
+
+  swarm1.listen(function () {
+    var oldPort = swarm1.port
+    swarm2.addPeer('127.0.0.1:' + oldPort)
+    swarm2.once('wire', function (wire) {
+      portfinder.getPort(function (err, port) {
+        if (err) throw err
+        var listened = false
+        swarm1.once('listening', function (newPort) {
+          listened = true
+          t.equal(newPort, port, 'listening emitted again')
+        })
+        swarm1.relisten(port, function (err) {
+          t.error(err)
+          t.ok(listened)
+          t.equal(swarm1.port, port)
+          t.equal(Object.keys(swarm1.session.pools).length, 1, 'old pool closed')
+
+          swarm1.wires[0].once('interested', function () {
+            t.pass('wire still open')
+            swarm3.addPeer('127.0.0.1:' + port)
+          })
+          wire.interested()
+        })
+      })
+    })
+  })
+
+  swarm3.on('wire', function () {
+    t.equal(swarm1.wires.length, 2)
+    swarm3.destroy()
+    swarm2.destroy()
+    swarm1.destroy(function () { t.end() })
+  })
+})
+
+test('relisten rolls back when the port is in use', function (t) {
+  var swarm1 = new Swarm(infoHash, peerId1)
+  var swarm2 = new Swarm(infoHash, peerId2)
+
+  swarm1.listen(function () {
+    var oldPort = swarm1.port
+    portfinder.getPort(function (err, port) {
+      if (err) throw err
+      var server = net.createServer().listen(port, function () {
+        swarm1.relisten(port, function (err) {
+          t.ok(err, 'relisten failed')
+          t.equal(swarm1.port, oldPort)
+          t.ok(swarm1.listening)
+          server.close()
+          swarm2.addPeer('127.0.0.1:' + oldPort)
+        })
+      })
+    })
+  })
+
+  swarm1.on('wire', function () {
+    t.pass('still accepting peers on the old port')
+    swarm2.destroy()
+    swarm1.destroy(function () { t.end() })
+  })
+})
+
+test('relisten to a port with a swarm for the same infoHash', function (t) {
+  var swarm1 = new Swarm(infoHash, peerId1)
+  var swarm2 = new Swarm(infoHash, peerId2)
+
+  swarm1.listen(function () {
+    swarm2.listen(function () {
+      var oldPort = swarm2.port
+      swarm2.relisten(swarm1.port, function (err) {
+        t.ok(err instanceof Error)
+        t.equal(swarm2.port, oldPort)
+        t.ok(swarm2.listening)
+        swarm1.destroy()
+        swarm2.destroy(function () { t.end() })
+      })
+    })
+  })
+})
+
+test('relisten before listen throws', function (t) {
+  var swarm = new Swarm(infoHash, peerId1)
+  t.throws(function () {
+    swarm.relisten(6881)
+  })
+  swarm.destroy()
+  t.end()
+})
@@ -0,0 +1,104 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var portfinder = require('portfinder')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+test('swarms use the default session', function (t) {
+  var swarm = new Swarm(infoHash, peerId1)
+  t.equal(swarm.session, Swarm.Session.default)
+  t.equal(Swarm.blocklist, Swarm.Session.default.blocklist)
+  swarm.destroy()
+  t.end()
+})
+
+test('session default swarm options', function (t) {
+  var session = new Swarm.Session({ swarm: { maxConns: 7, weight: 2 } })
+  var swarm1 = new Swarm(infoHash, peerId1, { session: session })
+  var swarm2 = new Swarm(infoHash, peerId2, { session: session, maxConns: 3 })
+  t.equal(swarm1.maxConns, 7)
+  t.equal(swarm1.weight, 2)
+  t.equal(swarm2.maxConns, 3, 'options given to the swarm win')
+  t.equal(swarm2.weight, 2)
+  swarm1.destroy()
+  swarm2.destroy()
+  t.end()
+})
+
+test('session blocklist only applies to its swarms', function (t) {
+  t.plan(3)
+
+  var session = new Swarm.Session({ blocklist: ['1.2.3.0/24'] })
+  var swarm1 = new Swarm(infoHash, peerId1, { session: session })
+  var swarm2 = new Swarm(infoHash, peerId2)
+  swarm1.pause()
+  swarm2.pause()
+  swarm1.on('blocked', function (addr, rule) {
+    t.equal(rule, '1.2.3.0/24')
+  })
+  swarm2.on('blocked', function () {
+    t.fail('default session peer blocked')
+  })
+  swarm1.addPeer('1.2.3.4:6881')
+  swarm2.addPeer('1.2.3.4:6881')
+  t.equal(swarm1._queue.length, 0)
+  t.equal(swarm2._queue.length, 1)
+  swarm1.destroy()
+  swarm2.destroy()
+})
+
+test('swarms listen on the session port', function (t) {
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    var session = new Swarm.Session({ port: port })
+    var swarm = new Swarm(infoHash, peerId1, { session: session })
+    swarm.listen(function () {
+      t.equal(swarm.port, port)
+      swarm.destroy(function () { t.end() })
+    })
+  })
+})
+
+test('sessions have independent swarms for the same infoHash', function (t) {
+  var session1 = new Swarm.Session()
+  var session2 = new Swarm.Session()
+  var swarm1 = new Swarm(infoHash, peerId1, { session: session1 })
+  var swarm2 = new Swarm(infoHash, peerId2, { session: session2 })
+
+  var wires = 0
+  function onwire () {
+    wires += 1
+    if (wires < 2) return
+    t.equal(Object.keys(session1.pools).length, 1)
+    t.equal(Object.keys(session2.pools).length, 1)
+    swarm1.destroy()
+    swarm2.destroy(function () {
+      t.deepEqual(session1.pools, {}, 'pools closed with their swarms')
+      t.deepEqual(session2.pools, {})
+      t.end()
+    })
+  }
+  swarm1.on('wire', onwire)
+  swarm2.on('wire', onwire)
+
+  swarm1.listen(function () {
+    swarm2.listen(function () {
+      t.notEqual(swarm1.port, swarm2.port)
+      swarm1.addPeer('127.0.0.1:' + swarm2.port)
+    })
+  })
+})
+
+test('session rate limits only apply to its swarms', function (t) {
+  var session = new Swarm.Session({ downloadLimit: 1000 })
+  t.equal(session.downloadThrottle.rate, 1000)
+  t.equal(Swarm.Session.default.downloadThrottle.rate, 0)
+  session.setDownloadLimit(0)
+  t.equal(session.downloadThrottle.rate, 0)
+  t.end()
+})
@@ -0,0 +1,101 @@
+require('./helpers/netSwitch')
+
+var hat = require('hat')
+var portfinder = require('portfinder')
+var Swarm = require('../')
+var test = require('tape')
+var throttle = require('../lib/throttle')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+test('throttle limits rate', function (t) {
+  var bucket = new throttle.Throttle(10000)
+  var start = Date.now()
+  var total = 0
+  function next () {
+    if (total >= 25000) {
+      var elapsed = Date.now() - start
+      t.ok(elapsed >= 1200, 'took ' + elapsed + 'ms for 25000 bytes at 10000 bytes/sec')
+      return t.end()
+    }
+    bucket.request(5000, function (granted) {
+      t.ok(granted > 0 && granted <= 5000)
+      total += granted
+      next()
+    })
+  }
+  next()
+})
+
+test('throttle rate can be changed while waiting', function (t) {
+  var bucket = new throttle.Throttle(100)
+  bucket.request(100, function () {
+    var start = Date.now()
+    bucket.request(100000, function (granted) {
+      t.equal(granted, 100000, 'unlimited grants the whole request')
+      t.ok(Date.now() - start < 500, 'released right away')
+      t.end()
+    })
+    bucket.setRate(0)
+  })
+})
+
+test('throttle shares bandwidth fairly', function (t) {
+  var bucket = new throttle.Throttle(20000)
+  var received = [0, 0]
+  var done = false
+
+  bucket.request(20000, function () { // use up the initial burst
+    ;[0, 1].forEach(function (i) {
+      (function next () {
+        if (done) return
+        bucket.request(1000, function (granted) {
+          received[i] += granted
+          next()
+        })
+      })()
+    })
+    setTimeout(function () {
+      done = true
+      bucket.setRate(0)
+      var diff = Math.abs(received[0] - received[1])
+      t.ok(diff <= 2000, 'streams got ' + received[0] + ' and ' + received[1] + ' bytes')
+      t.end()
+    }, 1000)
+  })
+})
+
+test('swarm download limit', function (t) {
+  t.plan(2)
+
+  var swarm1 = new Swarm(infoHash, peerId1, { downloadLimit: 20000 })
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    swarm1.listen(port, function () {
+      var swarm2 = new Swarm(infoHash, peerId2)
+      var start
+
+      swarm1.on('wire', function (wire) {
+        start = Date.now()
+        wire.on('download', function () {
+          if (swarm1.downloaded < 4 * 16384) return
+          var elapsed = Date.now() - start
+          t.ok(elapsed >= 1500, 'took ' + elapsed + 'ms for 64KB at 20KB/sec')
+          t.equal(swarm1.downloaded, 4 * 16384)
+          swarm1.destroy()
+          swarm2.destroy()
+        })
+      })
+
+      swarm2.on('wire', function (wire) {
+        var block = new Buffer(16384)
+        block.fill(0)
+        for (var i = 0; i < 4; i++) wire.piece(0, i * 16384, block)
+      })
+
+      swarm2.addPeer('127.0.0.1:' + port)
+    })
+  })
+})
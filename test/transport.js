@@ -0,0 +1,96 @@
+require('./helpers/netSwitch')
+
+var EventEmitter = require('events').EventEmitter
+var hat = require('hat')
+var net = require('net')
+var portfinder = require('portfinder')
+var Swarm = require('../')
+var test = require('tape')
+
+var infoHash = 'd2474e86c95b19b8bcfdb92bc12c9d44667cfa36'
+var peerId1 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+var peerId2 = new Buffer('-WW0001-' + hat(48), 'utf8').toString('hex')
+
+function countingTransport () {
+  var transport = {
+    connects: 0,
+    servers: 0,
+    connect: function (opts) {
+      transport.connects += 1
+      return net.connect(opts)
+    },
+    createServer: function (onconn) {
+      transport.servers += 1
+      return net.createServer(onconn)
+    }
+  }
+  return transport
+}
+
+test('swarm uses custom transport for listening and dialing', function (t) {
+  t.plan(4)
+
+  var transport1 = countingTransport()
+  var transport2 = countingTransport()
+
+  var swarm1 = new Swarm(infoHash, peerId1, { transport: transport1 })
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    swarm1.listen(port)
+
+    swarm1.on('listening', function () {
+      var swarm2 = new Swarm(infoHash, peerId2, { transport: transport2 })
+
+      swarm2.on('wire', function (wire) {
+        t.equal(transport1.servers, 1, 'listened with swarm transport')
+        t.equal(transport1.connects, 0)
+        t.equal(transport2.servers, 0)
+        t.equal(transport2.connects, 1, 'dialed with swarm transport')
+
+        swarm1.destroy()
+        swarm2.destroy()
+      })
+
+      swarm2.addPeer('127.0.0.1:' + swarm1.port)
+    })
+  })
+})
+
+test('swarms with different transports get separate pools', function (t) {
+  t.plan(4)
+
+  // A transport that never accepts connections, so it can share the port number
+  var transport2 = {
+    servers: 0,
+    connect: function () { throw new Error('not implemented') },
+    createServer: function () {
+      transport2.servers += 1
+      var server = new EventEmitter()
+      server.listen = function (port, cb) { if (cb) process.nextTick(cb) }
+      server.close = function (cb) { if (cb) process.nextTick(cb) }
+      return server
+    }
+  }
+
+  var swarm1 = new Swarm(infoHash, peerId1)
+  var swarm2 = new Swarm(infoHash, peerId1, { transport: transport2 })
+
+  swarm1.on('error', function (err) { t.fail(err.message) })
+  swarm2.on('error', function (err) { t.fail(err.message) })
+
+  portfinder.getPort(function (err, port) {
+    if (err) throw err
+    swarm1.listen(port, function () {
+      t.pass('tcp swarm listening')
+
+      // Same infoHash on the same port is allowed when the transport differs
+      swarm2.listen(port, function () {
+        t.pass('second swarm listening')
+        t.equal(swarm2.port, port)
+        t.equal(transport2.servers, 1, 'second transport created own server')
+        swarm1.destroy()
+        swarm2.destroy()
+      })
+    })
+  })
+})